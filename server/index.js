@@ -0,0 +1,155 @@
+/**
+ * The game server for networked play. One browser hosts a room and shows the
+ * board; players join the room by code from their own phones and buzz in.
+ * It runs on the LAN with no outside services:
+ *
+ *   npm run server          (PORT sets the port, 4000 by default)
+ */
+const http = require('http');
+const os = require('os');
+const { acceptUpgrade } = require('./webSocket');
+const { Room, newRoomCode } = require('./rooms');
+
+const PORT = Number(process.env.PORT) || 4000;
+
+/**
+ * Rooms being played, by code.
+ */
+const rooms = new Map();
+
+/**
+ * This function sends a message to one connection.
+ *
+ * @param connection connection to send to
+ * @param message message to send
+ */
+function send(connection, message) {
+  connection.send(JSON.stringify(message));
+}
+
+/**
+ * This function tells everybody in a room its new state.
+ *
+ * @param room the room that changed
+ */
+function broadcastState(room) {
+  room.broadcast({ type: 'state', room: room.snapshot() });
+}
+
+/**
+ * Handlers for the messages the host of a room may send.
+ */
+const HOST_MESSAGES = {
+  open: (room, message) => room.openClue(message.clue || {}),
+  close: room => room.closeClue(),
+  judge: (room, message) => room.judge(message.correct, message.answer)
+};
+
+/**
+ * This function acts on a message from a connection and updates everybody
+ * in its room.
+ *
+ * @param connection connection the message came from
+ * @param message the parsed message
+ */
+function handleMessage(connection, message) {
+  const room = connection.room;
+
+  if (message.type === 'host' && !room) {
+    const code = newRoomCode(rooms);
+    const newRoom = new Room(code, connection);
+    rooms.set(code, newRoom);
+    connection.room = newRoom;
+    connection.isHost = true;
+    broadcastState(newRoom);
+  } else if (message.type === 'join' && !room) {
+    const joining = rooms.get(String(message.code || '').trim().toUpperCase());
+    if (!joining) {
+      send(connection, { type: 'error', message: 'There is no room with that code.' });
+      return;
+    }
+    const result = joining.addPlayer(message.name, connection, message.token);
+    if (result.error) {
+      send(connection, { type: 'error', message: result.error });
+      return;
+    }
+    connection.room = joining;
+    connection.playerId = result.player.id;
+    // the token lets the player take their seat back if they drop out
+    send(connection, { type: 'joined', playerId: result.player.id, token: result.player.token });
+    broadcastState(joining);
+  } else if (room && connection.isHost && HOST_MESSAGES[message.type]) {
+    HOST_MESSAGES[message.type](room, message);
+    broadcastState(room);
+  } else if (room && message.type === 'buzz') {
+    if (room.buzz(connection.playerId)) {
+      broadcastState(room);
+    }
+  } else if (room && message.type === 'answer' && room.buzzedId === connection.playerId) {
+    // only the host knows the correct answer, so it judges the response
+    send(room.host, {
+      type: 'answer',
+      playerId: connection.playerId,
+      text: String(message.text || '')
+    });
+  } else {
+    send(connection, { type: 'error', message: `Can't ${message.type} right now.` });
+  }
+}
+
+/**
+ * This function cleans up after a connection closes: a host leaving closes
+ * the room, a player leaving keeps their seat and score.
+ *
+ * @param connection the closed connection
+ */
+function handleClose(connection) {
+  const room = connection.room;
+  if (!room) {
+    return;
+  }
+  if (connection.isHost) {
+    rooms.delete(room.code);
+    room.players.forEach(player => {
+      if (player.connection) {
+        send(player.connection, { type: 'error', message: 'The host closed the room.' });
+        player.connection.close();
+      }
+    });
+  } else {
+    room.disconnectPlayer(connection.playerId, connection);
+    broadcastState(room);
+  }
+}
+
+const server = http.createServer((request, response) => {
+  response.writeHead(200, { 'Content-Type': 'text/plain' });
+  response.end(`Capital Jeopardy game server: ${rooms.size} room(s) open.\n`);
+});
+
+server.on('upgrade', (request, socket) => {
+  const connection = acceptUpgrade(request, socket);
+  if (!connection) {
+    return;
+  }
+  connection.on('message', text => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      send(connection, { type: 'error', message: 'Messages must be JSON.' });
+      return;
+    }
+    handleMessage(connection, message || {});
+  });
+  connection.on('close', () => handleClose(connection));
+});
+
+server.listen(PORT, () => {
+  // lists the addresses phones on the same network can reach
+  const addresses = [].concat(...Object.values(os.networkInterfaces()))
+    .filter(address => address.family === 'IPv4' && !address.internal)
+    .map(address => address.address);
+  console.log(`Game server listening on port ${PORT}`);
+  addresses.forEach(address => console.log(`  ws://${address}:${PORT}`));
+});
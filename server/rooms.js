@@ -0,0 +1,219 @@
+/**
+ * Rooms hold the state of one networked game: the host's connection, the
+ * players who joined with the room code, the clue open for buzzing, who
+ * buzzed first and everybody's score. The server is the referee, so the
+ * first buzz it receives wins no matter how fast each phone is.
+ */
+const crypto = require('crypto');
+
+/**
+ * Configures room codes: four letters, leaving out ones that are easy to
+ * mix up when read aloud or off a screen.
+ */
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 4;
+
+/**
+ * Configures how many players fit in a room and how long their names can be.
+ */
+const MAX_PLAYERS = 12;
+const MAX_NAME_LENGTH = 20;
+
+class Room {
+  constructor(code, host) {
+    this.code = code;
+    this.host = host;
+    this.players = new Map();
+    this.nextPlayerId = 1;
+    this.clue = null;
+    this.buzzedId = null;
+    this.lockedOut = new Set();
+    this.lastResult = null;
+    this.played = [];
+  }
+
+  /**
+   * This method adds a player, or reconnects one who dropped out so they
+   * keep their seat and score. Each player is issued a secret token when
+   * they join, and only that token takes the seat back; a name alone can't.
+   * @param name player's name
+   * @param connection player's connection
+   * @param token token issued to the player when they first joined, if any
+   * @return the player, or an error message
+   */
+  addPlayer(name, connection, token) {
+    const returning = token && [...this.players.values()].find(player => player.token === String(token));
+    if (returning) {
+      // a player opening the game on a second device leaves the first
+      if (returning.connection && returning.connection !== connection) {
+        returning.connection.close();
+      }
+      returning.connection = connection;
+      return { player: returning };
+    }
+
+    const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!trimmed) {
+      return { error: 'Enter your name to join.' };
+    }
+    const existing = [...this.players.values()].find(player => player.name.toLowerCase() === trimmed.toLowerCase());
+    if (existing) {
+      return { error: `Somebody called ${existing.name} is already playing.` };
+    }
+    if (this.players.size >= MAX_PLAYERS) {
+      return { error: 'This room is full.' };
+    }
+
+    const player = {
+      id: String(this.nextPlayerId++),
+      name: trimmed,
+      score: 0,
+      token: crypto.randomBytes(16).toString('hex'),
+      connection
+    };
+    this.players.set(player.id, player);
+    return { player };
+  }
+
+  /**
+   * This method marks a player as disconnected, keeping their score in case
+   * they come back. A connection the player has since replaced by
+   * reconnecting is ignored.
+   * @param playerId id of the player
+   * @param connection the connection that closed
+   */
+  disconnectPlayer(playerId, connection) {
+    const player = this.players.get(playerId);
+    if (!player || (connection && player.connection !== connection)) {
+      return;
+    }
+    player.connection = null;
+    if (this.buzzedId === playerId) {
+      this.buzzedId = null;
+    }
+  }
+
+  /**
+   * This method opens a clue for buzzing. The answer stays with the host.
+   * @param clue id, value, question and category title of the clue
+   */
+  openClue(clue) {
+    this.clue = {
+      id: clue.id,
+      value: Number(clue.value) || 0,
+      question: String(clue.question || ''),
+      category: String(clue.category || '')
+    };
+    this.buzzedId = null;
+    this.lockedOut = new Set();
+    this.lastResult = null;
+  }
+
+  /**
+   * This method closes the open clue, e.g. when nobody got it. A clue once
+   * opened is played, whether or not anybody buzzed, so it is listed among
+   * the played clues the host clears the board by.
+   */
+  closeClue() {
+    if (this.clue && !this.played.includes(this.clue.id)) {
+      this.played.push(this.clue.id);
+    }
+    this.clue = null;
+    this.buzzedId = null;
+    this.lockedOut = new Set();
+  }
+
+  /**
+   * This method takes a player's buzz. Only the first buzz on an open clue
+   * counts, and players who already answered it wrong are locked out.
+   * @param playerId id of the player
+   * @return true if the player won the buzz
+   */
+  buzz(playerId) {
+    if (!this.clue || this.buzzedId || this.lockedOut.has(playerId) || !this.players.has(playerId)) {
+      return false;
+    }
+    this.buzzedId = playerId;
+    return true;
+  }
+
+  /**
+   * This method scores the buzzed player's response. A right response wins
+   * the clue's value and closes it; a wrong one loses the value and lets
+   * the others buzz, closing the clue once everybody has tried.
+   * @param correct whether the host's judge accepted the response
+   * @param answer the response, to show everybody
+   */
+  judge(correct, answer) {
+    const player = this.players.get(this.buzzedId);
+    if (!this.clue || !player) {
+      return;
+    }
+
+    player.score += correct ? this.clue.value : -this.clue.value;
+    this.lastResult = {
+      playerId: player.id,
+      name: player.name,
+      clueId: this.clue.id,
+      answer: String(answer || ''),
+      correct: !!correct
+    };
+    this.lockedOut.add(player.id);
+    this.buzzedId = null;
+
+    const everybodyTried = [...this.players.values()].every(other => !other.connection || this.lockedOut.has(other.id));
+    if (correct || everybodyTried) {
+      this.closeClue();
+    }
+  }
+
+  /**
+   * This method returns the state of the room that everybody is sent.
+   */
+  snapshot() {
+    const buzzed = this.players.get(this.buzzedId);
+    return {
+      code: this.code,
+      players: [...this.players.values()].map(player => ({
+        id: player.id,
+        name: player.name,
+        score: player.score,
+        connected: !!player.connection
+      })),
+      clue: this.clue,
+      buzzed: buzzed ? { id: buzzed.id, name: buzzed.name } : null,
+      lockedOut: [...this.lockedOut],
+      lastResult: this.lastResult,
+      played: this.played
+    };
+  }
+
+  /**
+   * This method sends a message to the host and every connected player.
+   * @param message message to send
+   */
+  broadcast(message) {
+    const text = JSON.stringify(message);
+    this.host.send(text);
+    this.players.forEach(player => player.connection && player.connection.send(text));
+  }
+}
+
+/**
+ * This function makes a room code that isn't already in use.
+ *
+ * @param rooms rooms by code
+ * @return the code
+ */
+function newRoomCode(rooms) {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+module.exports = { Room, newRoomCode, MAX_NAME_LENGTH };
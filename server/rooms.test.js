@@ -0,0 +1,166 @@
+const { Room, newRoomCode } = require('./rooms');
+
+/**
+ * This function makes a fake connection that records what it is sent.
+ */
+const connection = () => ({
+  sent: [],
+  closed: false,
+  send(text) {
+    this.sent.push(JSON.parse(text));
+  },
+  close() {
+    this.closed = true;
+  }
+});
+
+/**
+ * This function makes a room with an open $400 clue and the named players.
+ *
+ * @param names names of the players
+ */
+const roomWith = (...names) => {
+  const room = new Room('ABCD', connection());
+  const players = names.map(name => room.addPlayer(name, connection()).player);
+  room.openClue({ id: 7, value: 400, question: 'This river flows north', category: 'RIVERS', answer: 'Nile' });
+  return { room, players };
+};
+
+it('makes unused four letter codes', () => {
+  const code = newRoomCode(new Map());
+  expect(code).toMatch(/^[A-HJ-NP-Z]{4}$/);
+  expect(newRoomCode(new Map([[code, {}]]))).not.toBe(code);
+});
+
+it('keeps the answer out of the open clue', () => {
+  const { room } = roomWith('Ann');
+  expect(room.clue).toEqual({ id: 7, value: 400, question: 'This river flows north', category: 'RIVERS' });
+});
+
+it('lets only the first buzz win', () => {
+  const { room, players: [ann, bo] } = roomWith('Ann', 'Bo');
+  expect(room.buzz(bo.id)).toBe(true);
+  expect(room.buzz(ann.id)).toBe(false);
+  expect(room.buzz(bo.id)).toBe(false);
+  expect(room.snapshot().buzzed).toEqual({ id: bo.id, name: 'Bo' });
+});
+
+it('takes no buzz without an open clue or from strangers', () => {
+  const { room, players: [ann] } = roomWith('Ann');
+  expect(room.buzz('99')).toBe(false);
+  room.closeClue();
+  expect(room.buzz(ann.id)).toBe(false);
+});
+
+it('scores a right response and closes the clue', () => {
+  const { room, players: [ann, bo] } = roomWith('Ann', 'Bo');
+  room.buzz(ann.id);
+  room.judge(true, 'the Nile');
+  expect(ann.score).toBe(400);
+  expect(bo.score).toBe(0);
+  expect(room.clue).toBeNull();
+  expect(room.lastResult).toEqual({ playerId: ann.id, name: 'Ann', clueId: 7, answer: 'the Nile', correct: true });
+  expect(room.snapshot().played).toEqual([7]);
+});
+
+it('locks out a wrong response and lets the others rebound', () => {
+  const { room, players: [ann, bo, cy] } = roomWith('Ann', 'Bo', 'Cy');
+  room.buzz(ann.id);
+  room.judge(false, 'Amazon');
+  expect(ann.score).toBe(-400);
+  expect(room.clue).not.toBeNull();
+  expect(room.played).toEqual([]);
+  expect(room.buzz(ann.id)).toBe(false);
+  expect(room.buzz(bo.id)).toBe(true);
+  room.judge(false, 'Congo');
+  expect(room.snapshot().lockedOut).toEqual([ann.id, bo.id]);
+
+  // the clue closes once everybody still connected has tried
+  room.buzz(cy.id);
+  room.judge(false, 'Volga');
+  expect(room.clue).toBeNull();
+  expect(room.played).toEqual([7]);
+  expect([ann.score, bo.score, cy.score]).toEqual([-400, -400, -400]);
+});
+
+it('does not wait on disconnected players to rebound', () => {
+  const { room, players: [ann, bo] } = roomWith('Ann', 'Bo');
+  room.disconnectPlayer(bo.id, bo.connection);
+  room.buzz(ann.id);
+  room.judge(false, 'Amazon');
+  expect(room.clue).toBeNull();
+});
+
+it('counts a clue the host closes as played, even if nobody buzzed', () => {
+  const { room } = roomWith('Ann', 'Bo');
+  room.closeClue();
+  expect(room.lastResult).toBeNull();
+  expect(room.snapshot().played).toEqual([7]);
+
+  // closing again, or with no clue open, adds nothing
+  room.closeClue();
+  room.openClue({ id: 8, value: 800, question: 'This river flows south' });
+  room.closeClue();
+  expect(room.played).toEqual([7, 8]);
+});
+
+it('ignores rulings when nobody buzzed', () => {
+  const { room, players: [ann] } = roomWith('Ann');
+  room.judge(true, 'Nile');
+  expect(ann.score).toBe(0);
+  expect(room.clue).not.toBeNull();
+});
+
+it('frees the buzz when the buzzed player drops out', () => {
+  const { room, players: [ann, bo] } = roomWith('Ann', 'Bo');
+  room.buzz(ann.id);
+  room.disconnectPlayer(ann.id, ann.connection);
+  expect(room.buzz(bo.id)).toBe(true);
+});
+
+it('turns away blank and taken names and full rooms', () => {
+  const { room } = roomWith('Ann');
+  expect(room.addPlayer('  ', connection()).error).toBe('Enter your name to join.');
+  expect(room.addPlayer('ann', connection()).error).toBe('Somebody called Ann is already playing.');
+  for (let i = 0; i < 11; i++) {
+    room.addPlayer(`Player ${i}`, connection());
+  }
+  expect(room.addPlayer('Latecomer', connection()).error).toBe('This room is full.');
+});
+
+it('gives a seat back only for its token', () => {
+  const { room, players: [ann] } = roomWith('Ann');
+  ann.score = 800;
+  const first = ann.connection;
+  room.disconnectPlayer(ann.id, first);
+
+  // somebody else typing the name can't take the seat
+  expect(room.addPlayer('Ann', connection()).error).toBe('Somebody called Ann is already playing.');
+  expect(room.addPlayer('Ann', connection(), 'not the token').error).toBe('Somebody called Ann is already playing.');
+
+  const second = connection();
+  const result = room.addPlayer('', second, ann.token);
+  expect(result.player).toBe(ann);
+  expect(ann.connection).toBe(second);
+  expect(ann.score).toBe(800);
+});
+
+it('moves a player to the device they reconnect from', () => {
+  const { room, players: [ann] } = roomWith('Ann');
+  const first = ann.connection;
+  const second = connection();
+  room.addPlayer('Ann', second, ann.token);
+  expect(first.closed).toBe(true);
+
+  // the old device closing afterwards doesn't disconnect the new one
+  room.disconnectPlayer(ann.id, first);
+  expect(ann.connection).toBe(second);
+});
+
+it('sends everybody the state but never the tokens', () => {
+  const { room, players: [ann] } = roomWith('Ann');
+  room.broadcast({ type: 'state', room: room.snapshot() });
+  expect(room.host.sent).toHaveLength(1);
+  expect(ann.connection.sent[0].room.players).toEqual([{ id: ann.id, name: 'Ann', score: 0, connected: true }]);
+  expect(JSON.stringify(room.snapshot())).not.toContain(ann.token);
+});
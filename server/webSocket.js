@@ -0,0 +1,213 @@
+/**
+ * A minimal WebSocket (RFC 6455) server connection built on Node's own http
+ * and crypto modules, so the game server runs with nothing to install. It
+ * only handles what the game needs: text messages, pings and closing.
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Configures the key every WebSocket handshake is hashed with, and the
+ * largest message a client may send.
+ */
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+};
+
+/**
+ * A WebSocketConnection wraps an upgraded socket, emitting 'message' with
+ * the text of every message received and 'close' when the connection ends.
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('close', () => {
+      this.closed = true;
+      this.emit('close');
+    });
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * This method buffers incoming data and handles every complete frame in it.
+   * @param chunk data read from the socket
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let frame;
+    while (!this.closed && (frame = this.readFrame())) {
+      this.handleFrame(frame);
+    }
+  }
+
+  /**
+   * This method reads one frame off the front of the buffer, unmasking its
+   * payload.
+   * @return the frame, or null if it hasn't fully arrived yet
+   */
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) {
+      return null;
+    }
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      this.close(1009);
+      return null;
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+      offset += 4;
+    }
+    if (buffer.length < offset + length) {
+      return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+    this.buffer = buffer.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+
+  /**
+   * This method acts on a frame: text is put back together and emitted,
+   * pings are answered and close frames end the connection.
+   * @param frame frame read off the socket
+   */
+  handleFrame({ fin, opcode, payload }) {
+    if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+      this.fragments.push(payload);
+      if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+        this.close(1009);
+      } else if (fin) {
+        const text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = [];
+        this.emit('message', text);
+      }
+    } else if (opcode === OPCODES.ping) {
+      this.sendFrame(OPCODES.pong, payload);
+    } else if (opcode === OPCODES.close) {
+      this.close();
+    } else if (opcode === OPCODES.binary) {
+      // the game only speaks JSON text
+      this.close(1003);
+    }
+  }
+
+  /**
+   * This method sends a text message.
+   * @param text message to send
+   */
+  send(text) {
+    this.sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+  }
+
+  /**
+   * This method writes one unmasked frame, as servers send them.
+   * @param opcode kind of frame
+   * @param payload frame contents
+   */
+  sendFrame(opcode, payload) {
+    if (this.closed || this.socket.destroyed) {
+      return;
+    }
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      // the length fits in 53 bits, so it is written as two 32-bit halves
+      header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+      header.writeUInt32BE(payload.length % 0x100000000, 6);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  /**
+   * This method closes the connection with a status code.
+   * @param code WebSocket close code, 1000 for a normal close
+   */
+  close(code = 1000) {
+    if (this.closed) {
+      return;
+    }
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.sendFrame(OPCODES.close, payload);
+    this.closed = true;
+    this.socket.end();
+  }
+}
+
+/**
+ * This function completes the WebSocket handshake for an HTTP upgrade
+ * request, turning away requests that aren't WebSocket upgrades.
+ *
+ * @param request the upgrade request
+ * @param socket the request's socket
+ * @return the connection, or null if the request was turned away
+ */
+function acceptUpgrade(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptUpgrade, WebSocketConnection };
@@ -0,0 +1,150 @@
+const { EventEmitter } = require('events');
+const { acceptUpgrade, WebSocketConnection } = require('./webSocket');
+
+/**
+ * This function makes a fake socket that records what it is written.
+ */
+const socket = () => {
+  const fake = new EventEmitter();
+  fake.written = [];
+  fake.ended = false;
+  fake.destroyed = false;
+  fake.write = data => fake.written.push(Buffer.from(data));
+  fake.end = data => {
+    if (data) {
+      fake.write(data);
+    }
+    fake.ended = true;
+  };
+  fake.destroy = () => {
+    fake.destroyed = true;
+  };
+  return fake;
+};
+
+/**
+ * This function makes a frame as a browser sends it, masked with a fixed key.
+ *
+ * @param opcode kind of frame
+ * @param payload frame contents
+ * @param fin whether this is the last frame of the message
+ */
+const clientFrame = (opcode, payload, fin = true) => {
+  const data = Buffer.from(payload);
+  const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | data.length]);
+  } else {
+    header = Buffer.alloc(4);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(data.length, 2);
+  }
+  const masked = data.map((byte, i) => byte ^ mask[i % 4]);
+  return Buffer.concat([header, mask, masked]);
+};
+
+/**
+ * This function makes a connection and collects the messages it emits.
+ */
+const open = () => {
+  const fake = socket();
+  const connection = new WebSocketConnection(fake);
+  const messages = [];
+  connection.on('message', text => messages.push(text));
+  return { fake, connection, messages };
+};
+
+it('completes the handshake with the accept key from the RFC', () => {
+  const fake = socket();
+  const connection = acceptUpgrade({ headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } }, fake);
+  expect(connection).toBeInstanceOf(WebSocketConnection);
+  const response = fake.written[0].toString();
+  expect(response).toMatch(/^HTTP\/1\.1 101 Switching Protocols\r\n/);
+  expect(response).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=\r\n');
+});
+
+it('turns away requests that are not WebSocket upgrades', () => {
+  const fake = socket();
+  expect(acceptUpgrade({ headers: { upgrade: 'h2c' } }, fake)).toBeNull();
+  expect(fake.written[0].toString()).toMatch(/^HTTP\/1\.1 400/);
+  expect(fake.ended).toBe(true);
+});
+
+it('unmasks text messages, even when they arrive in pieces', () => {
+  const { fake, messages } = open();
+  const frame = clientFrame(0x1, '{"type":"buzz"}');
+  fake.emit('data', frame.subarray(0, 3));
+  expect(messages).toEqual([]);
+  fake.emit('data', Buffer.concat([frame.subarray(3), clientFrame(0x1, 'héllo')]));
+  expect(messages).toEqual(['{"type":"buzz"}', 'héllo']);
+});
+
+it('reads lengths of 126 bytes and more', () => {
+  const { fake, messages } = open();
+  const text = 'x'.repeat(300);
+  fake.emit('data', clientFrame(0x1, text));
+  expect(messages).toEqual([text]);
+});
+
+it('puts fragmented messages back together', () => {
+  const { fake, messages } = open();
+  fake.emit('data', clientFrame(0x1, 'Hel', false));
+  fake.emit('data', clientFrame(0x0, 'lo'));
+  expect(messages).toEqual(['Hello']);
+});
+
+it('sends unmasked frames with the right length encoding', () => {
+  const { fake, connection } = open();
+  connection.send('hi');
+  expect([...fake.written[0]]).toEqual([0x81, 2, 0x68, 0x69]);
+
+  connection.send('y'.repeat(300));
+  expect([...fake.written[1].subarray(0, 4)]).toEqual([0x81, 126, 0x01, 0x2c]);
+  expect(fake.written[1]).toHaveLength(304);
+
+  connection.send('z'.repeat(70000));
+  const header = fake.written[2].subarray(0, 10);
+  expect([...header.subarray(0, 2)]).toEqual([0x81, 127]);
+  expect(header.readUInt32BE(2)).toBe(0);
+  expect(header.readUInt32BE(6)).toBe(70000);
+});
+
+it('answers pings with pongs', () => {
+  const { fake } = open();
+  fake.emit('data', clientFrame(0x9, 'ok'));
+  expect([...fake.written[0]]).toEqual([0x8a, 2, 0x6f, 0x6b]);
+});
+
+it('answers a close frame and ends the socket', () => {
+  const { fake, connection } = open();
+  fake.emit('data', clientFrame(0x8, Buffer.from([0x03, 0xe8])));
+  expect([...fake.written[0]]).toEqual([0x88, 2, 0x03, 0xe8]);
+  expect(fake.ended).toBe(true);
+
+  // nothing is sent once closed
+  connection.send('late');
+  expect(fake.written).toHaveLength(1);
+});
+
+it('closes on binary frames and oversized messages', () => {
+  const binary = open();
+  binary.fake.emit('data', clientFrame(0x2, 'data'));
+  expect(binary.fake.written[0].readUInt16BE(2)).toBe(1003);
+
+  const oversized = open();
+  const header = Buffer.from([0x81, 0x80 | 127, 0, 0, 0, 0, 0, 1, 0, 1]);
+  oversized.fake.emit('data', header);
+  expect(oversized.fake.written[0].readUInt16BE(2)).toBe(1009);
+  expect(oversized.messages).toEqual([]);
+});
+
+it('emits close when the socket closes', () => {
+  const { fake, connection } = open();
+  const onClose = jest.fn();
+  connection.on('close', onClose);
+  fake.emit('close');
+  expect(onClose).toHaveBeenCalled();
+  expect(connection.closed).toBe(true);
+});
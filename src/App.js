@@ -1,5 +1,110 @@
 import React, { Component } from 'react';
 import Board from './components/board';
+import FinalJeopardy from './components/finalJeopardy';
+import Review from './components/review';
+import DailyResult from './components/dailyResult';
+import Players, { MIN_PLAYERS, MAX_PLAYERS } from './components/players';
+import PlayerConsole from './components/playerConsole';
+import RoomHost from './components/roomHost';
+import HostConsole from './components/hostConsole';
+import AudienceDisplay from './components/audienceDisplay';
+import { createDataSource, getDataSourceConfig, DEFAULT_SOURCE } from './dataSources';
+import LocalDataSource from './dataSources/local';
+import { generateBoard, drawFinalClue, BOARD_CATEGORIES } from './game/randomBoard';
+import { ROUNDS, buildRound, isRoundCleared, placeDailyDoubles } from './game/rounds';
+import { calculateScore, SCORING_MODES } from './game/scoring';
+import { dailyKey, generateDailyBoard, dailyResult } from './game/dailyChallenge';
+import { coryatScore, averageCoryat } from './game/coryat';
+import { dailyDoubleLimits } from './game/wagers';
+import { judgeAnswer, judgeEntry } from './judging/judge';
+import GameClient from './network/gameClient';
+import DisplayChannel, { toDisplayBoard, toDisplayClue } from './sync/displayChannel';
+import { buildDeck, dueCards, reviewCard } from './review/scheduler';
+import { forEachConcurrent, isAbortError, MAX_CONCURRENT_REQUESTS } from './utils/concurrency';
+
+/**
+ * Configures state that only describes the current visit, so it is reset
+ * rather than restored from the previous browser session.
+ */
+const SESSION_STATE = {
+  /**
+   * Name and size of a clue archive the user loaded into the browser. The
+   * archive itself only lives in memory.
+   */
+  archive: null,
+  /**
+   * Summary of the data source's response cache, refreshed after searches.
+   */
+  cacheStats: null,
+  /**
+   * Why the last search failed, and how many of its categories could not be
+   * loaded.
+   */
+  error: null,
+  failedCategories: 0,
+  /**
+   * Why the data source configured in the page's address couldn't be used,
+   * shown as a notice since the app goes on with the default source.
+   */
+  sourceNotice: null,
+  /**
+   * Why the last clue archive the user picked couldn't be loaded.
+   */
+  archiveError: null,
+  /**
+   * Timer lengths as the user is typing them, by setting name. They are
+   * rounded and saved once the field loses focus.
+   */
+  settingDrafts: {},
+  /**
+   * The networked room this browser hosts, as last sent by the game server,
+   * and why hosting failed. joining shows the player console instead of the
+   * board, for players buzzing in from their phones.
+   */
+  room: null,
+  roomError: null,
+  joining: false,
+  /**
+   * Ids of the clues the hosted room has played. Room results are scored by
+   * the game server, so they stay out of the answered history.
+   */
+  roomPlayed: [],
+  /**
+   * The ids of every category the last search matched. There can be
+   * thousands, so they are searched for again on load instead of saved.
+   */
+  matchedIds: [],
+  /**
+   * Whether the user is reviewing missed and favorited clues.
+   */
+  reviewing: false,
+  /**
+   * Whether to show the result of today's daily challenge, already played.
+   */
+  showDailyResult: false,
+  /**
+   * The clue whose card is flipped over, shown on the audience display.
+   */
+  openClue: null
+}
+
+/**
+ * This function turns the app's state into what is saved in localStorage,
+ * leaving out the matched category ids.
+ *
+ * @param state state of the app
+ * @return the state as JSON
+ */
+function serializeState(state) {
+  const { matchedIds, ...saved } = state;
+  return JSON.stringify(saved);
+}
+
+/**
+ * Configures what is recorded as the answer when the host rules on a
+ * response given out loud.
+ */
+const HOST_RULING_ANSWER = '(ruled by host)';
 
 /**
  * Configures initial state of app.
@@ -14,19 +119,74 @@ const INITIAL_STATE = {
     max_date: undefined,
     value: 'any'
   },
+  /**
+   * Configures how the game is played. requireQuestionForm makes responses
+   * count only when phrased as a question, like "What is...". hostConsole
+   * shows correct answers and judging buttons for a host reading clues to an
+   * audience display. multipleChoice offers four answers to pick from
+   * instead of an answer field. timers puts a
+   * clock on each clue: readingSeconds to read it, buzzSeconds to buzz in and
+   * answerSeconds to respond. scoring is one of SCORING_MODES: standard
+   * takes wrong answers off the score, practice only adds right ones.
+   */
+  settings: {
+    scoring: 'standard',
+    requireQuestionForm: false,
+    hostConsole: false,
+    multipleChoice: false,
+    timers: false,
+    readingSeconds: 3,
+    buzzSeconds: 5,
+    answerSeconds: 10
+  },
   /**
    * Initial states of search text, resulting categories, answered and
-   * favorited clues, and searching status.
+   * favorited clues, and searching status. searchedText is the text the
+   * categories were found with, and nextCategoryIndex is where in the
+   * categories it matched the next page of categories starts.
    */
   searchText: '',
+  searchedText: null,
   categories: [],
+  nextCategoryIndex: 0,
   answered: [],
   favorites: [],
-  searching: false
+  /**
+   * Audit trail of every time the user overrode the judge, oldest first.
+   */
+  overrides: [],
+  /**
+   * The game being played, or null when browsing search results. A game has
+   * an id, the index of the current round, the boards of every round, and
+   * once the boards are cleared the finalClue for Final Jeopardy, with
+   * finalRevealed once the host shows it on the audience display. wagers
+   * holds the wagers placed on Daily Doubles by clue id. A daily
+   * challenge is a one-round game with the date it belongs to as daily.
+   */
+  game: null,
+  /**
+   * Players sharing the screen, each with an id and a name, and the id of
+   * the one answering. With fewer than two players the app is single player.
+   */
+  players: [],
+  currentPlayerId: null,
+  /**
+   * Review cards for missed and favorited clues by clue id, each scheduled
+   * for when it is next due.
+   */
+  reviewDeck: {},
+  /**
+   * Results of finished daily challenges by date, each with the score, the
+   * number right and the summary to share.
+   */
+  dailyResults: {},
+  searching: false,
+  ...SESSION_STATE
 }
 
 /**
- * Configures the maximum number of search results allowed to show on screen.
+ * Configures the number of search results shown at a time. More can be
+ * loaded a page at a time.
  */
 const MAX_CATEGORIES = 12;
 
@@ -48,122 +208,736 @@ class App extends Component {
    * This constructor method constructs the app with initial state or loads the
    * saved state from the previous browser session.
    *
-   * @param props makes it a React component
+   * @param props makes it a React component, optionally with the dataSource to
+   * fetch clues from instead of the one configured at startup
    */
   constructor(props) {
     super(props);
 
+    // a mistyped source in the page's address shouldn't leave the app blank
+    let sourceNotice = null;
+    try {
+      this.dataSource = props.dataSource || createDataSource();
+    } catch (err) {
+      sourceNotice = `${err.message}. Using ${DEFAULT_SOURCE} instead.`;
+      this.dataSource = createDataSource({ ...getDataSourceConfig(), source: DEFAULT_SOURCE });
+    }
+    // answers given since this time belong to the current session
+    this.sessionStart = new Date().toISOString();
+    // players' phones open the join link, which carries the room code, and
+    // the audience display opens with view=display
+    const params = new URLSearchParams(window.location.search);
+    this.joinCode = params.get('room');
+    this.isAudienceDisplay = params.get('view') === 'display';
+
     const savedState = JSON.parse(localStorage.getItem('app-state'));
     if (savedState) {
+      // fill in any state added since the session was saved
       this.state = {
-        ...savedState
+        ...INITIAL_STATE,
+        ...savedState,
+        ...SESSION_STATE,
+        settings: { ...INITIAL_STATE.settings, ...savedState.settings },
+        searching: false
       }
     } else {
       this.state = {
         ...INITIAL_STATE
       }
     }
+    this.state.joining = this.joinCode !== null;
+    this.state.sourceNotice = sourceNotice;
+  }
+
+  /**
+   * This method leaves a hosted room when the app goes away.
+   */
+  componentWillUnmount() {
+    this.unmounted = true;
+    if (this.gameClient) {
+      this.gameClient.disconnect();
+    }
+    if (this.displayChannel) {
+      this.displayChannel.close();
+    }
+  }
+
+  /**
+   * This method shows what the response cache holds once the app is on screen.
+   */
+  componentDidMount() {
+    this.refreshCacheStats();
+    this.restoreSearch();
+
+    // keeps any audience display in step with this window
+    if (!this.isAudienceDisplay) {
+      this.displayChannel = new DisplayChannel();
+      this.displayChannel.onRequest(() => this.displayChannel.publish(this.getDisplayState()));
+    }
+  }
+
+  /**
+   * This method sends the audience display what changed.
+   *
+   * @param prevProps previous props
+   * @param prevState used to detect a change in state
+   */
+  componentDidUpdate(prevProps, prevState) {
+    if (this.displayChannel && this.state !== prevState) {
+      this.displayChannel.publish(this.getDisplayState());
+    }
+  }
+
+  /**
+   * This method reads the size of the data source's response cache for the
+   * cache summary, if the data source has a cache.
+   */
+  refreshCacheStats = async () => {
+    if (this.dataSource.cache) {
+      const cacheStats = await this.dataSource.cache.stats();
+      // the stats can arrive after the app has gone away
+      if (!this.unmounted) {
+        this.setState({
+          cacheStats: cacheStats
+        });
+      }
+    }
   }
 
   /**
-   * This method fetches clue data from the jService API using a URL constructed
-   * from user input or default values if the user did not input anything
+   * This method empties the response cache so every search hits the network
+   * again.
+   */
+  clearCache = async () => {
+    await this.dataSource.cache.clear();
+    this.refreshCacheStats();
+  }
+
+  /**
+   * This method fetches clue data from the data source using the user's
+   * filters or default values if the user did not input anything
    *
    * @param categoryId category that clues are grouped by when fetching
    * results
+   * @param signal AbortSignal that cancels the request
+   */
+  searchClues = async (categoryId, signal) => {
+    return this.dataSource.getClues(categoryId, this.state.filters, signal);
+  }
+
+  /**
+   * This method turns the clues fetched for a category into a category for
+   * the board, or null if the category has no clues.
+   *
+   * @param categoryId category the clues were fetched for
+   * @param clues clues of the category
+   */
+  toCategory(categoryId, clues) {
+    // we should keep ONLY unique clues
+    const questionSet = new Set();
+    const uniqueClues = [];
+    clues.forEach(clue => {
+      if (!questionSet.has(clue.question)) {
+        questionSet.add(clue.question);
+        uniqueClues.push(clue);
+      }
+    });
+
+    // some clues have null value, set that to 0
+    uniqueClues.forEach(clue => clue.value = clue.value ? clue.value : 0);
+
+    // sort clues by value so easiest ones appear on top
+    uniqueClues.sort((clue1, clue2) => clue1.value - clue2.value);
+
+    if (uniqueClues.length === 0) {
+      return null;
+    }
+    return {
+      // get category title and clues for each category
+      id: categoryId,
+      title: uniqueClues[0].category.title,
+      clues: uniqueClues
+    };
+  }
+
+  /**
+   * This method searches again for the categories the saved search matched,
+   * so more of them can be loaded. The categories already on the board stay
+   * as they were.
+   */
+  restoreSearch = async () => {
+    if (this.state.searchedText === null || this.state.game || this.isAudienceDisplay) {
+      return;
+    }
+    const signal = this.startSearch();
+    try {
+      const matchedIds = (await this.dataSource.searchCategories(this.state.searchedText, this.state.filters)).map(category => category.id);
+      if (!signal.aborted && !this.unmounted) {
+        this.setState({
+          matchedIds: matchedIds
+        });
+      }
+    } catch (err) {
+      // the board still shows the saved categories, there are just no more
+    }
+  }
+
+  /**
+   * This method cancels the search or page load still running, so its stale
+   * results can't overwrite newer ones, and starts a new one.
+   *
+   * @return AbortSignal of the new search
+   */
+  startSearch() {
+    if (this.searchController) {
+      this.searchController.abort();
+    }
+    this.searchController = new AbortController();
+    return this.searchController.signal;
+  }
+
+  /**
+   * This method fetches the next page of matched categories, up to the
+   * maximum search result limit, and adds them to the board. Categories are
+   * fetched a few at a time and show up as they arrive, in search rank order.
+   * A category that fails to load is left off the board without stopping the
+   * others.
+   *
+   * @param signal AbortSignal of the search the page belongs to
+   */
+  loadCategories = async (signal) => {
+    const previous = this.state.categories;
+    const start = this.state.nextCategoryIndex;
+    const found = [];
+    const page = () => found.filter(category => category).slice(0, MAX_CATEGORIES);
+    let failed = this.state.failedCategories;
+
+    const started = await forEachConcurrent(this.state.matchedIds.slice(start), MAX_CONCURRENT_REQUESTS, async (categoryId, rank) => {
+      let category;
+      try {
+        category = this.toCategory(categoryId, await this.searchClues(categoryId, signal));
+      } catch (err) {
+        if (!isAbortError(err) && !signal.aborted) {
+          this.setState({
+            failedCategories: ++failed
+          });
+        }
+        return;
+      }
+      if (category && !signal.aborted) {
+        found[rank] = category;
+        this.setState({
+          categories: [...previous, ...page()]
+        });
+      }
+    }, {
+      signal: signal,
+      shouldStop: () => page().length >= MAX_CATEGORIES
+    });
+    if (signal.aborted) {
+      return;
+    }
+
+    // the next page starts right after the last category shown, so
+    // categories fetched past the limit are shown next time instead of lost
+    let next = start + started;
+    const shown = page();
+    if (shown.length === MAX_CATEGORIES) {
+      next = start + found.indexOf(shown[shown.length - 1]) + 1;
+    }
+
+    await this.setState({
+      categories: [...previous, ...shown],
+      nextCategoryIndex: next
+    });
+  }
+
+  /**
+   * This method runs a search or page load, showing the loading animation
+   * while it runs and the reason if it fails.
+   *
+   * @param signal AbortSignal of the search
+   * @param load async function doing the work
    */
-  searchClues = async (categoryId) => {
-    const categoryQs = `category=${categoryId}`;
-    const maxDateQs = `max_date=${this.state.filters.max_date || new Date().toISOString()}`;
-    const minDateQs = `min_date=${this.state.filters.min_date || new Date(0).toISOString()}`;
-    const valueQs = this.state.filters.value === 'any' ? '' : `value=${this.state.filters.value}`;
+  runSearch = async (signal, load) => {
+    try {
+      await load();
+      if (signal.aborted) {
+        return;
+      }
+
+      await this.setState({
+        searching: false
+      });
 
-    const constructedUrl = `http://jservice.io/api/clues?${[maxDateQs, minDateQs, categoryQs, valueQs].join('&')}`;
+      // save state to localStorage so that next time we can reload it!
+      localStorage.setItem('app-state', serializeState(this.state));
 
-    return fetch(constructedUrl).then(res => res.json());
+      this.refreshCacheStats();
+    } catch (err) {
+      // a newer search took over, so there is nothing left to show
+      if (isAbortError(err) || signal.aborted) {
+        return;
+      }
+      this.setState({
+        searching: false,
+        error: err.message || 'Something went wrong while searching.'
+      });
+    }
   }
 
   /**
-   * This method uses search text from the user to find Jeopardy categories.
-   * This is actually not part of the jService API but scrapes the pages of
-   * jService's category search for category IDs using a regular expression.
+   * This method uses search text from the user to find Jeopardy categories
+   * through the data source and shows the first page of them. The rest of
+   * the matched categories are kept for loading more later.
    *
    * @param event user presses the Search button
    */
   onSearch = async event => {
+    const signal = this.startSearch();
+    this.lastSearch = this.onSearch;
+
     // show loading animation
     await this.setState({
       ...this.state,
-      searching: true
-    });
-
-    // scrape jService category search
-    const res = await fetch(`http://jservice.io/search?query=${encodeURIComponent(this.state.searchText)}`);
-    const html = await res.text();
-    let regexp = /popular\/\d+/g;
-    const matchedIds = (html.match(regexp) || []).map(match => match.substr(8));
-
-    // get clues of each category!
-    const categories = [];
-    for (let categoryId of matchedIds) {
-      const clues = await this.searchClues(categoryId);
-      // we should keep ONLY unique clues
-      const questionSet = new Set();
-      const uniqueClues = [];
-      clues.map(clue => {
-        if (!questionSet.has(clue.question)) {
-          questionSet.add(clue.question);
-          uniqueClues.push(clue);
-        }
+      searching: true,
+      reviewing: false,
+      showDailyResult: false,
+      game: null,
+      categories: [],
+      matchedIds: [],
+      nextCategoryIndex: 0,
+      error: null,
+      failedCategories: 0
+    });
+
+    await this.runSearch(signal, async () => {
+      // find categories matching the search text
+      const matchedIds = (await this.dataSource.searchCategories(this.state.searchText, this.state.filters)).map(category => category.id);
+      if (signal.aborted) {
+        return;
+      }
+
+      await this.setState({
+        searchedText: this.state.searchText,
+        matchedIds: matchedIds
       });
+      await this.loadCategories(signal);
+    });
+  }
 
-      // some clues have null value, set that to 0
-      uniqueClues.map(clue => clue.value = clue.value ? clue.value : 0);
-
-      // sort clues by value so easiest ones appear on top
-      uniqueClues.sort((clue1, clue2) => clue1.value - clue2.value);
-
-      if (uniqueClues.length > 0) {
-        const category = {
-          // get category title and clues for each category
-          title: uniqueClues[0].category.title,
-          clues: uniqueClues
-        };
-        categories.push(category);
-        // respect the maximum search result limit
-        if (categories.length >= MAX_CATEGORIES) {
-          break;
-        }
+  /**
+   * This method adds the next page of matched categories to the board.
+   *
+   * @param event user presses the Load more button
+   */
+  onLoadMore = async event => {
+    const signal = this.startSearch();
+    this.lastSearch = this.onLoadMore;
+
+    await this.setState({
+      ...this.state,
+      searching: true,
+      error: null
+    });
+
+    await this.runSearch(signal, () => this.loadCategories(signal));
+  }
+
+  /**
+   * This method starts a new game: a Jeopardy round followed by a Double
+   * Jeopardy round, each a full board of six random categories that pass the
+   * user's filters, five clues each at the round's dollar values.
+   *
+   * @param event user presses the New Game button
+   */
+  onNewGame = async event => {
+    const signal = this.startSearch();
+    this.lastSearch = this.onNewGame;
+
+    await this.setState({
+      ...this.state,
+      searching: true,
+      searchedText: null,
+      reviewing: false,
+      showDailyResult: false,
+      game: null,
+      categories: [],
+      matchedIds: [],
+      nextCategoryIndex: 0,
+      error: null,
+      failedCategories: 0
+    });
+
+    await this.runSearch(signal, async () => {
+      let failed = 0;
+      const categories = await generateBoard(this.dataSource, this.state.filters, signal, BOARD_CATEGORIES * ROUNDS.length, () => {
+        this.setState({
+          failedCategories: ++failed
+        });
+      });
+      if (signal.aborted) {
+        return;
       }
+
+      const boards = ROUNDS.map((round, i) => placeDailyDoubles(
+        buildRound(categories.slice(i * BOARD_CATEGORIES, (i + 1) * BOARD_CATEGORIES), round),
+        round.dailyDoubles
+      ));
+      await this.setState({
+        game: {
+          id: Date.now().toString(36),
+          round: 0,
+          boards: boards
+        },
+        categories: boards[0]
+      });
+    });
+  }
+
+  /**
+   * This method starts today's daily challenge, a board that is the same for
+   * everybody today. It can only be played once: coming back to it resumes
+   * it, and once finished shows the result instead. Its result is one
+   * person's, so it isn't played in multiplayer.
+   *
+   * @param event user presses the Daily Challenge button
+   */
+  onDailyChallenge = async event => {
+    const date = dailyKey();
+    if (this.isMultiplayer()) {
+      return;
+    }
+    if ((this.state.dailyResults || {})[date]) {
+      await this.setState({
+        ...this.state,
+        showDailyResult: true
+      });
+      return;
     }
 
-    this.setState({
-      searching: false,
-      categories: categories
+    const signal = this.startSearch();
+    this.lastSearch = this.onDailyChallenge;
+
+    await this.setState({
+      ...this.state,
+      searching: true,
+      searchedText: null,
+      reviewing: false,
+      showDailyResult: false,
+      game: null,
+      categories: [],
+      matchedIds: [],
+      nextCategoryIndex: 0,
+      error: null,
+      failedCategories: 0
+    });
+
+    await this.runSearch(signal, async () => {
+      const board = await generateDailyBoard(this.dataSource, date, signal);
+      if (signal.aborted) {
+        return;
+      }
+      await this.setState({
+        game: {
+          id: `daily-${date}`,
+          round: 0,
+          boards: [board],
+          daily: date
+        },
+        categories: board
+      });
+    });
+  }
+
+  /**
+   * This method saves the result of the daily challenge once its board is
+   * cleared, and saves it again when the user overrides the judge on it
+   * afterwards. The day's challenge is only played once, so the result
+   * keeps when it was first finished.
+   */
+  saveDailyResult = async () => {
+    const game = this.state.game;
+    if (!game || !game.daily || !isRoundCleared(this.state.categories, this.getBoardAnswers())) {
+      return;
+    }
+
+    const saved = (this.state.dailyResults || {})[game.daily];
+    await this.setState({
+      ...this.state,
+      dailyResults: {
+        ...this.state.dailyResults,
+        [game.daily]: {
+          ...dailyResult(game.daily, game.boards[0], this.getBoardAnswers()),
+          at: saved ? saved.at : new Date().toISOString()
+        }
+      }
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method moves the game on to the next round once its board is
+   * cleared.
+   */
+  onNextRound = async () => {
+    const game = { ...this.state.game, round: this.state.game.round + 1 };
+    await this.setState({
+      ...this.state,
+      game: game,
+      categories: game.boards[game.round]
     });
 
-    // save state to localStorage so that next time we can reload it!
-    localStorage.setItem('app-state', JSON.stringify(this.state));
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
 
+  /**
+   * This method starts Final Jeopardy once the last board is cleared, drawing
+   * its clue from the data source within the user's date filters.
+   */
+  onFinalJeopardy = async () => {
+    const signal = this.startSearch();
+    this.lastSearch = this.onFinalJeopardy;
+
+    await this.setState({
+      ...this.state,
+      searching: true,
+      error: null
+    });
+
+    await this.runSearch(signal, async () => {
+      const boards = [].concat(...this.state.game.boards);
+      const usedCategoryIds = boards.map(category => category.id);
+      const playedClueIds = [].concat(...boards.map(category => category.clues)).map(clue => clue.id);
+      const finalClue = await drawFinalClue(this.dataSource, this.state.filters, usedCategoryIds, playedClueIds);
+      if (!signal.aborted) {
+        await this.setState({
+          game: { ...this.state.game, finalClue: finalClue }
+        });
+      }
+    });
+  }
+
+  /**
+   * This method shows the Final Jeopardy clue on the audience display, which
+   * until then shows only its category.
+   */
+  onRevealFinal = async () => {
+    await this.setState({
+      game: { ...this.state.game, finalRevealed: true }
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method returns whether the game is over, i.e. Final Jeopardy has
+   * been answered, by every player in multiplayer.
+   */
+  isGameOver() {
+    if (!this.state.game) {
+      return false;
+    }
+    const finalAnswers = this.getBoardAnswers().filter(answer => answer.round === 'final');
+    if (!this.isMultiplayer()) {
+      return finalAnswers.length > 0;
+    }
+    return this.state.players.every(player => finalAnswers.some(answer => answer.player === player.id));
+  }
+
+  /**
+   * This method returns the answers that belong on the board: during a game
+   * only the answers given in that game, so clues played in earlier games
+   * are fresh again, otherwise every answer.
+   */
+  getBoardAnswers() {
+    const game = this.state.game;
+    return game ? this.state.answered.filter(answer => answer.gameId === game.id) : this.state.answered;
+  }
+
+  /**
+   * This method loads a clue archive chosen by the user into the browser and
+   * searches it locally from then on, so no network is needed at all.
+   *
+   * @param event user picks an archive file
+   */
+  onArchiveLoad = event => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const dataSource = this.dataSource instanceof LocalDataSource ? this.dataSource : new LocalDataSource();
+      let count;
+      try {
+        count = dataSource.loadCorpus(reader.result, file.name);
+      } catch (err) {
+        // a file that isn't a clue archive leaves the current data source in place
+        this.setState({
+          archiveError: `${file.name} is not a clue archive: ${err.message}`
+        });
+        return;
+      }
+      this.dataSource = dataSource;
+      this.setState({
+        archive: { name: file.name, count: count },
+        archiveError: null
+      });
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * This method keeps the wager placed on a Daily Double, so closing its card
+   * before answering doesn't allow wagering again.
+   * @param clue the Daily Double
+   * @param wager amount wagered
+   */
+  onWager = async (clue, wager) => {
+    const game = this.state.game;
+    await this.setState({
+      game: { ...game, wagers: { ...game.wagers, [clue.id]: wager } }
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
   }
 
   /**
    * This method marks a clue as answered.
    * @param clue clue that was answered
    * @param answer stores answer for scoring purposes
+   * @param wager amount wagered on a Daily Double, scored instead of the
+   * clue's value
+   * @param player who answered, if not the player picked on this screen
+   */
+  onAnswer = async (clue, answer, wager, player) => {
+    await this.recordAnswer(this.makeAnswerEntry(clue, answer, wager, player));
+  }
+
+  /**
+   * This method makes the history entry for an answer, noting who gave it
+   * and in which game and round.
+   * @param clue clue that was answered
+   * @param answer the answer given
+   * @param wager amount wagered on a Daily Double
+   * @param player who answered, if not the player picked on this screen
+   */
+  makeAnswerEntry(clue, answer, wager, player) {
+    return {
+      clue: clue,
+      answer: answer,
+      player: player !== undefined ? player : this.isMultiplayer() ? this.state.currentPlayerId : null,
+      gameId: this.state.game ? this.state.game.id : null,
+      round: !this.state.game ? null : this.state.game.finalClue ? 'final' : this.state.game.round,
+      ...(wager !== undefined ? { wager: wager } : {}),
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * This method records the host's ruling on a response given out loud.
+   * Right and wrong rulings are recorded as overrides of the judge, and a
+   * pass as no answer.
+   * @param clue clue that was played
+   * @param ruling 'right', 'wrong' or 'pass'
+   * @param wager amount wagered on a Daily Double
+   */
+  onRuling = async (clue, ruling, wager) => {
+    if (ruling === 'pass') {
+      await this.recordAnswer(this.makeAnswerEntry(clue, '', wager));
+      return;
+    }
+    await this.recordAnswer({
+      ...this.makeAnswerEntry(clue, HOST_RULING_ANSWER, wager),
+      override: ruling === 'right'
+    });
+  }
+
+  /**
+   * This method adds an answer to the history and saves it.
+   * @param entry answer to add
    */
-  onAnswer = async (clue, answer) => {
+  recordAnswer = async (entry) => {
     await this.setState({
       ...this.state,
-      answered: [...this.state.answered, {
-        clue: clue,
-        answer: answer
+      answered: [...this.state.answered, entry]
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+
+    await this.saveDailyResult();
+  }
+
+  /**
+   * This method takes back the last answer given on the board, e.g. when the
+   * host ruled on the wrong clue.
+   */
+  onUndoAnswer = async () => {
+    const last = this.getBoardAnswers().slice(-1)[0];
+    await this.setState({
+      ...this.state,
+      answered: this.state.answered.filter(answer => answer !== last)
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method overrides the judge's ruling on a recorded answer, e.g. when
+   * the user answered "NYC" for "New York City", and records the override in
+   * the audit trail.
+   * @param clue clue whose answer is re-judged
+   * @param correct whether the user rules the answer correct
+   */
+  onOverride = async (clue, correct) => {
+    const entry = this.getBoardAnswers().find(answer => answer.clue.id === clue.id);
+    if (!entry) {
+      return;
+    }
+
+    await this.setState({
+      ...this.state,
+      answered: this.state.answered.map(answer =>
+        answer.clue.id === clue.id && answer.gameId === entry.gameId ? { ...answer, override: correct } : answer
+      ),
+      overrides: [...(this.state.overrides || []), {
+        clueId: clue.id,
+        question: clue.question,
+        correctAnswer: clue.answer,
+        answer: entry.answer,
+        from: judgeEntry(entry).correct,
+        to: correct,
+        at: new Date().toISOString()
       }]
-    })
+    });
 
     // updates saved state in localStorage
-    localStorage.setItem('app-state', JSON.stringify(this.state));
+    localStorage.setItem('app-state', serializeState(this.state));
+
+    // a finished daily challenge's result follows the ruling
+    await this.saveDailyResult();
+  }
 
+  /**
+   * This method searches again with the filters the user just set. In a
+   * game the filters only apply to the next board, since searching would
+   * leave the game in progress.
+   * @param event user leaves a filter field or picks a value
+   */
+  onFilterSearch = event => {
+    if (this.state.game) {
+      return;
+    }
+    this.onSearch(event);
   }
 
   /**
@@ -177,6 +951,55 @@ class App extends Component {
     });
   }
 
+  /**
+   * This method turns a game setting on or off or picks an option such as
+   * the scoring mode, and saves it. A timer's length is kept as typed until
+   * the field loses focus, so it can be cleared and typed over.
+   * @param event user toggles a setting's checkbox, edits its number or
+   * selects an option
+   */
+  onSettingChange = async event => {
+    let value = event.target.value;
+    if (event.target.type === 'number') {
+      this.setState({
+        settingDrafts: { ...this.state.settingDrafts, [event.target.name]: value }
+      });
+      return;
+    }
+    if (event.target.type === 'checkbox') {
+      value = event.target.checked;
+    }
+    await this.setState({
+      ...this.state,
+      settings: { ...this.state.settings, [event.target.name]: value }
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method saves the timer length the user typed, in whole seconds and
+   * at least one.
+   * @param event user leaves a timer field
+   */
+  onSettingBlur = async event => {
+    const name = event.target.name;
+    const draft = this.state.settingDrafts[name];
+    if (draft === undefined) {
+      return;
+    }
+    const { [name]: done, ...settingDrafts } = this.state.settingDrafts;
+    await this.setState({
+      ...this.state,
+      settings: { ...this.state.settings, [name]: Math.max(1, Math.round(Number(draft)) || 1) },
+      settingDrafts: settingDrafts
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
   /**
    * This method updates the search bar based on user input.
    * @param event user types into the search bar
@@ -198,22 +1021,305 @@ class App extends Component {
       ...this.state,
       filters: newFilters
     });
-    this.onSearch();
+    this.onFilterSearch();
+  }
+
+  /**
+   * This method returns user answers that the judge accepts as matching the
+   * right answer.
+   * @param answered answers to check, every answer by default
+   */
+  getCorrectAnswers(answered = this.state.answered) {
+    return answered.filter(answer => judgeEntry(answer).correct);
+  }
+
+  /**
+   * This method scores the user's answers in the chosen scoring mode,
+   * counting the wager instead of the value for Daily Doubles.
+   * @param answered answers to score, every answer by default
+   */
+  calculateEarnings(answered = this.state.answered) {
+    return calculateScore(answered, this.state.settings.scoring).score;
+  }
+
+  /**
+   * This method returns whether several players are sharing the screen.
+   */
+  isMultiplayer() {
+    return (this.state.players || []).length >= MIN_PLAYERS;
+  }
+
+  /**
+   * This method returns whether the game being played is a daily challenge,
+   * which is played alone.
+   */
+  isDailyGame() {
+    return !!this.state.game && !!this.state.game.daily;
+  }
+
+  /**
+   * This method returns the answers given by the player answering now, or
+   * every answer in single player.
+   * @param answered answers to choose from, every answer by default
+   */
+  getCurrentPlayerAnswers(answered = this.state.answered) {
+    return this.isMultiplayer() ? answered.filter(answer => answer.player === this.state.currentPlayerId) : answered;
+  }
+
+  /**
+   * This method returns the player picked to answer in multiplayer, null if
+   * nobody is picked yet, or undefined in single player.
+   */
+  getAnsweringPlayer() {
+    if (!this.isMultiplayer()) {
+      return undefined;
+    }
+    return this.state.players.find(player => player.id === this.state.currentPlayerId) || null;
+  }
+
+  /**
+   * This method adds a player, making them the one answering if nobody is.
+   * @param name name of the player
+   */
+  onAddPlayer = async (name) => {
+    const players = this.state.players || [];
+    if (players.length >= MAX_PLAYERS || this.isDailyGame()) {
+      return;
+    }
+    const player = { id: `${Date.now().toString(36)}-${players.length}`, name: name };
+    await this.setState({
+      ...this.state,
+      players: [...players, player],
+      currentPlayerId: this.state.currentPlayerId || player.id
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method removes a player. Their answers stay in the history.
+   * @param playerId id of the player to remove
+   */
+  onRemovePlayer = async (playerId) => {
+    await this.setState({
+      ...this.state,
+      players: this.state.players.filter(player => player.id !== playerId),
+      currentPlayerId: this.state.currentPlayerId === playerId ? null : this.state.currentPlayerId
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method picks the player answering the next clue.
+   * @param playerId id of the player
+   */
+  onSelectPlayer = async (playerId) => {
+    await this.setState({
+      ...this.state,
+      currentPlayerId: playerId
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method opens a room on the game server for players to join from
+   * their phones, with this screen showing the board.
+   */
+  onHostRoom = async () => {
+    const client = new GameClient();
+    client
+      .on('state', this.onRoomState)
+      .on('answer', this.onRemoteAnswer)
+      .on('error', message => this.setState({ roomError: message.message }))
+      .on('close', () => {
+        this.gameClient = null;
+        this.setState({ room: null, roomError: 'Lost connection to the game server.' });
+      });
+
+    await this.setState({
+      ...this.state,
+      roomError: null,
+      roomPlayed: []
+    });
+    try {
+      await client.connect();
+      this.gameClient = client;
+      client.host();
+    } catch (err) {
+      await this.setState({
+        ...this.state,
+        roomError: err.message
+      });
+    }
+  }
+
+  /**
+   * This method closes the hosted room, which sends its players home.
+   */
+  onCloseRoom = async () => {
+    if (this.gameClient) {
+      this.gameClient.disconnect();
+      this.gameClient = null;
+    }
+    await this.setState({
+      ...this.state,
+      room: null
+    });
+  }
+
+  /**
+   * This method takes the room's new state from the game server, including
+   * the clues it closed, which count as played whether or not anybody got
+   * them.
+   * @param message the room
+   */
+  onRoomState = (message) => {
+    this.setState({
+      room: message.room,
+      roomPlayed: message.room.played || []
+    });
+  }
+
+  /**
+   * This method returns whether a clue is played by the players of the
+   * hosted room. Daily Doubles aren't, as they belong to whoever picked
+   * them, so they are played on the host's screen.
+   * @param clue the specified clue
+   */
+  isRoomClue(clue) {
+    return !!this.state.room && !!clue && !(this.state.game && clue.dailyDouble);
+  }
+
+  /**
+   * This method shows the clue picked on the board on the audience display,
+   * and opens it for buzzing in a hosted room unless it was already played
+   * or is a Daily Double. Closing the card closes the clue.
+   * @param clue clue picked, or null when the card is closed
+   */
+  onClueChange = (clue) => {
+    // only the open clue changes here, since an answer may be saved in the
+    // same moment
+    this.setState({ openClue: clue });
+
+    if (!this.gameClient || !this.state.room) {
+      return;
+    }
+    if (this.isRoomClue(clue) && !this.state.roomPlayed.includes(clue.id) &&
+      !this.getBoardAnswers().some(answer => answer.clue.id === clue.id)) {
+      this.openClue = clue;
+      this.gameClient.openClue(clue);
+    } else {
+      this.openClue = null;
+      this.gameClient.closeClue();
+    }
+  }
+
+  /**
+   * This method judges the response of the player who buzzed first. Only
+   * the host knows the correct answer, so the server leaves judging to it
+   * and keeps the scores from the ruling.
+   * @param message the player's id and response
+   */
+  onRemoteAnswer = (message) => {
+    const clue = this.openClue;
+    if (!clue || !this.gameClient) {
+      return;
+    }
+    this.gameClient.judge(judgeAnswer(message.text, clue.answer).correct, message.text);
+  }
+
+  /**
+   * This method returns what the audience display shows: the board without
+   * answers, the clue being played and the scores. A Daily Double shows its
+   * question once wagered on, and Final Jeopardy its clue once revealed.
+   */
+  getDisplayState() {
+    const game = this.state.game;
+    const clue = this.state.openClue;
+    const wagered = !!game && !!clue &&
+      ((game.wagers || {})[clue.id] !== undefined || this.getBoardAnswers().some(answer => answer.clue.id === clue.id));
+    let scores = [{ name: 'Score', score: this.calculateEarnings() }];
+    if (this.state.room) {
+      scores = this.state.room.players.map(player => ({ name: player.name, score: player.score }));
+    } else if (this.isMultiplayer()) {
+      scores = this.state.players.map(player => ({
+        name: player.name,
+        score: this.calculateEarnings(this.state.answered.filter(answer => answer.player === player.id))
+      }));
+    }
+
+    return {
+      round: !game ? null : game.finalClue ? 'Final Jeopardy!' : ROUNDS[game.round].name,
+      categories: toDisplayBoard(this.state.categories, this.getBoardAnswers(), this.state.room ? this.state.roomPlayed : []),
+      clue: toDisplayClue(clue, !!game, wagered),
+      finalCategory: game && game.finalClue ? game.finalClue.category.title : null,
+      finalQuestion: game && game.finalClue && (game.finalRevealed || this.isGameOver()) ? game.finalClue.question : null,
+      scores: scores
+    };
+  }
+
+  /**
+   * This method starts reviewing, first adding a card for every clue missed
+   * or favorited since the last review.
+   */
+  onStartReview = async () => {
+    await this.setState({
+      ...this.state,
+      reviewDeck: buildDeck(this.state.answered, this.state.favorites, this.state.reviewDeck),
+      reviewing: true
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method reschedules a review card based on the judged answer.
+   * @param card the card as it was before this review
+   * @param correct whether the answer was right
+   */
+  onReview = async (card, correct) => {
+    await this.setState({
+      ...this.state,
+      reviewDeck: { ...this.state.reviewDeck, [card.clue.id]: reviewCard(card, correct) }
+    });
+
+    // updates saved state in localStorage
+    localStorage.setItem('app-state', serializeState(this.state));
+  }
+
+  /**
+   * This method goes back to the board.
+   */
+  onExitReview = () => {
+    this.setState({
+      ...this.state,
+      reviewing: false
+    });
   }
 
   /**
-   * This method returns user answers that match the right answer. 
+   * This method returns the answers given in the current session.
    */
-  getCorrectAnswers() {
-    return this.state.answered.filter(answer => answer.answer === answer.clue.answer);
+  getSessionAnswers() {
+    return this.state.answered.filter(answer => answer.at && answer.at >= this.sessionStart);
   }
 
   /**
-   * This method sums the values of the user's correct answers. 
+   * This method formats an amount of money, putting the sign before the
+   * dollar sign, or a dash if there is no amount.
+   * @param amount amount to format
    */
-  calculateEarnings() {
-    const correctValues = this.getCorrectAnswers().filter(answer => answer.clue.value).map(answer => answer.clue.value);
-    return correctValues.reduce((sum, num) => sum + num, 0);
+  formatMoney(amount) {
+    if (amount === null) {
+      return '\u2014';
+    }
+    return `${amount < 0 ? '-' : ''}$${Math.abs(amount)}`;
   }
 
   /**
@@ -228,13 +1334,15 @@ class App extends Component {
       newFavList.push(clue);
     }
 
+    // an unfavorited clue leaves the review deck unless it was also missed
     await this.setState({
       ...this.state,
-      favorites: newFavList
+      favorites: newFavList,
+      reviewDeck: buildDeck(this.state.answered, newFavList, this.state.reviewDeck)
     });
 
     // updates saved state in localStorage
-    localStorage.setItem('app-state', JSON.stringify(this.state));
+    localStorage.setItem('app-state', serializeState(this.state));
   }
 
   /**
@@ -242,11 +1350,34 @@ class App extends Component {
    */
   render() {
 
+    // the scoreboard is the answering player's in multiplayer
+    const answering = this.getAnsweringPlayer();
+    const myAnswers = this.getCurrentPlayerAnswers();
+    // breaks the score down into right, wrong and passed answers
+    const breakdown = calculateScore(myAnswers, this.state.settings.scoring).breakdown;
+
     // maps difficulty options to HTML component for rendering
     const difficultyfilters = DIFFICULTIES.map((difficulty) =>
       <option>{difficulty}</option>
     );
 
+    // the projector shows only what the host console publishes
+    if (this.isAudienceDisplay) {
+      return <AudienceDisplay />;
+    }
+
+    // players in a networked game only need the buzzer
+    if (this.state.joining) {
+      return (
+        <div>
+          <div class="pb-3">
+            <img class="title-img" src="/logo.png" alt="Capital Jeopardy" />
+          </div>
+          <PlayerConsole code={this.joinCode} onLeave={e => this.setState({ joining: false })} />
+        </div>
+      );
+    }
+
     return (
       <div>
         {/* logo header */}
@@ -255,17 +1386,71 @@ class App extends Component {
         </div>
 
         {/* scoreboard */}
-        <h5>Score
-          <span class="ml-1 badge badge-success">
-            ${this.calculateEarnings()}
+        <h5>{answering ? `${answering.name}'s score` : 'Score'}
+          <span class={`ml-1 badge ${this.calculateEarnings(myAnswers) < 0 ? 'badge-danger' : 'badge-success'}`}>
+            {this.formatMoney(this.calculateEarnings(myAnswers))}
+          </span>
+          <span class="ml-1 badge badge-info" title="Coryat score: no wagering, Daily Doubles at face value">
+            Coryat {this.formatMoney(coryatScore(myAnswers))}
           </span>
           <span class="ml-1 badge badge-secondary">
-            {this.getCorrectAnswers().length} out of {this.state.answered.length}
+            {this.getCorrectAnswers(myAnswers).length} out of {myAnswers.length}
           </span>
           <span>
             <i class="ml-3 text-danger fas fa-heart"></i> {(this.state.favorites || []).length}
           </span>
         </h5>
+        <p class="text-small text-muted">
+          <span class="mr-2">{breakdown.correct.count} right (+${breakdown.correct.amount})</span>
+          <span class="mr-2">{breakdown.incorrect.count} wrong (-${-breakdown.incorrect.amount})</span>
+          <span class="mr-2">{breakdown.passed.count} passed</span>
+          <span>
+            Average Coryat: {this.formatMoney(averageCoryat(this.getCurrentPlayerAnswers(this.getSessionAnswers())))} this session,
+            {' '}{this.formatMoney(averageCoryat(myAnswers))} all time
+          </span>
+        </p>
+
+        {/* players sharing the screen */}
+        <Players
+          players={this.state.players || []}
+          currentPlayerId={this.state.currentPlayerId}
+          scores={(this.state.players || []).map(player => {
+            const answers = this.state.answered.filter(answer => answer.player === player.id);
+            return {
+              score: this.formatMoney(this.calculateEarnings(answers)),
+              correct: this.getCorrectAnswers(answers).length
+            };
+          })}
+          onAddPlayer={this.onAddPlayer}
+          onRemovePlayer={this.onRemovePlayer}
+          onSelectPlayer={this.onSelectPlayer}
+          solo={this.isDailyGame()}
+        />
+
+        {/* host console for reading clues to an audience display */}
+        {this.state.settings.hostConsole &&
+          <HostConsole
+            clue={this.state.openClue}
+            canUndo={this.getBoardAnswers().length > 0}
+            onUndo={this.onUndoAnswer}
+            finalClue={this.state.game ? this.state.game.finalClue : null}
+            finalRevealed={!!this.state.game && !!this.state.game.finalRevealed}
+            onRevealFinal={this.onRevealFinal}
+          />}
+
+        {/* networked game: this screen hosts the board, phones buzz in */}
+        {this.state.room ?
+          <RoomHost room={this.state.room} onClose={this.onCloseRoom} /> :
+          <div class="mb-2 text-left">
+            <button type="button" class="btn btn-sm btn-outline-secondary mr-2" onClick={this.onHostRoom}>
+              Host a room
+            </button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" onClick={e => this.setState({ joining: true })}>
+              Join a room
+            </button>
+            {this.state.roomError &&
+              <p class="text-small text-danger mt-2">{this.state.roomError}</p>}
+          </div>}
 
         {/* searchbar */}
         <div class="input-group mb-3">
@@ -291,6 +1476,34 @@ class App extends Component {
                 <i class="fas fa-search"></i> :
                 <i class="fas fa-spinner fa-spin"></i>}
             </button>
+            <button
+              onClick={this.onNewGame}
+              class="btn btn-outline-primary"
+              type="button"
+              disabled={this.state.searching}
+            >
+              New Game
+            </button>
+            <button
+              onClick={this.onDailyChallenge}
+              class="btn btn-outline-primary"
+              type="button"
+              disabled={this.state.searching || this.isMultiplayer()}
+              title={this.isMultiplayer() ? 'The daily challenge is played alone' : undefined}
+            >
+              Daily Challenge
+              {(this.state.dailyResults || {})[dailyKey()] && <i class="ml-1 fas fa-check"></i>}
+            </button>
+            <button
+              onClick={this.onStartReview}
+              class="btn btn-outline-secondary"
+              type="button"
+            >
+              Review
+              <span class="ml-1 badge badge-secondary">
+                {dueCards(buildDeck(this.state.answered, this.state.favorites, this.state.reviewDeck)).length}
+              </span>
+            </button>
           </div>
         </div>
 
@@ -305,7 +1518,7 @@ class App extends Component {
             name="min_date"
             value={this.state.filters.min_date}
             onChange={this.onFilterChange}
-            onBlur={this.onSearch}
+            onBlur={this.onFilterSearch}
             type="date"
           />
 
@@ -316,7 +1529,7 @@ class App extends Component {
             name="max_date"
             value={this.state.filters.max_date}
             onChange={this.onFilterChange}
-            onBlur={this.onSearch}
+            onBlur={this.onFilterSearch}
             type="date"
           />
 
@@ -332,14 +1545,239 @@ class App extends Component {
           </select>
         </form>
 
-        {/* Board component to display search results*/}
-        <Board
-          categories={this.state.categories}
-          onAnswer={this.onAnswer}
-          answered={this.state.answered}
-          toggleFavorite={this.toggleFavorite}
-          favorites={this.state.favorites}
-        />
+        {/* game settings */}
+        <div class="form-inline mb-2">
+          <label class="mr-2" for="scoring">Scoring</label>
+          <select
+            id="scoring"
+            class="form-control form-control-sm"
+            name="scoring"
+            value={this.state.settings.scoring}
+            onChange={this.onSettingChange}
+          >
+            {Object.keys(SCORING_MODES).map(mode =>
+              <option key={mode} value={mode}>{SCORING_MODES[mode]}</option>
+            )}
+          </select>
+        </div>
+        <div class="custom-control custom-switch mb-2 text-left">
+          <input
+            id="requireQuestionForm"
+            class="custom-control-input"
+            type="checkbox"
+            name="requireQuestionForm"
+            checked={this.state.settings.requireQuestionForm}
+            onChange={this.onSettingChange}
+          />
+          <label class="custom-control-label" for="requireQuestionForm">
+            Answer in the form of a question
+          </label>
+        </div>
+        <div class="custom-control custom-switch mb-2 text-left">
+          <input
+            id="multipleChoice"
+            class="custom-control-input"
+            type="checkbox"
+            name="multipleChoice"
+            checked={this.state.settings.multipleChoice}
+            onChange={this.onSettingChange}
+          />
+          <label class="custom-control-label" for="multipleChoice">
+            Multiple choice
+          </label>
+        </div>
+        <div class="custom-control custom-switch mb-2 text-left">
+          <input
+            id="timers"
+            class="custom-control-input"
+            type="checkbox"
+            name="timers"
+            checked={this.state.settings.timers}
+            onChange={this.onSettingChange}
+          />
+          <label class="custom-control-label" for="timers">
+            Timed clues
+          </label>
+        </div>
+        <div class="custom-control custom-switch mb-2 text-left">
+          <input
+            id="hostConsole"
+            class="custom-control-input"
+            type="checkbox"
+            name="hostConsole"
+            checked={this.state.settings.hostConsole}
+            onChange={this.onSettingChange}
+          />
+          <label class="custom-control-label" for="hostConsole">
+            Host console with audience display
+          </label>
+        </div>
+        {this.state.settings.timers &&
+          <form class="form-inline">
+            {[['readingSeconds', 'Reading'], ['buzzSeconds', 'Buzz'], ['answerSeconds', 'Answer']].map(([name, label]) =>
+              <div key={name} class="input-group input-group-sm mb-2 mr-sm-2">
+                <div class="input-group-prepend">
+                  <label class="input-group-text" for={name}>{label}</label>
+                </div>
+                <input
+                  id={name}
+                  class="form-control timer-input"
+                  type="number"
+                  min="1"
+                  name={name}
+                  value={this.state.settingDrafts[name] !== undefined ? this.state.settingDrafts[name] : this.state.settings[name]}
+                  onChange={this.onSettingChange}
+                  onBlur={this.onSettingBlur}
+                />
+                <div class="input-group-append">
+                  <span class="input-group-text">s</span>
+                </div>
+              </div>
+            )}
+          </form>}
+
+        {/* clue archive loader for searching offline */}
+        <div class="custom-file mb-2">
+          <input
+            id="archiveFile"
+            class="custom-file-input"
+            type="file"
+            accept=".tsv,.json"
+            onChange={this.onArchiveLoad}
+          />
+          <label class="custom-file-label text-left" for="archiveFile">
+            {this.state.archive ?
+              `${this.state.archive.name} (${this.state.archive.count} clues)` :
+              'Load a clue archive (TSV or JSON) to search offline'}
+          </label>
+        </div>
+        {this.state.archiveError &&
+          <p class="text-small text-danger text-left">{this.state.archiveError}</p>}
+
+        {/* response cache summary */}
+        {this.state.cacheStats &&
+          <p class="text-small text-muted">
+            Cached {this.state.cacheStats.entries} responses
+            ({Math.ceil(this.state.cacheStats.bytes / 1024)} KB
+            {this.state.cacheStats.expired > 0 ? `, ${this.state.cacheStats.expired} expired` : ''})
+            <button type="button" class="btn btn-link btn-sm" onClick={this.clearCache}>Clear</button>
+          </p>}
+
+        {this.state.sourceNotice &&
+          <div class="alert alert-warning" role="alert">{this.state.sourceNotice}</div>}
+
+        {/* search failures and empty results */}
+        {this.state.error &&
+          <div class="alert alert-danger" role="alert">
+            Couldn't load clues: {this.state.error}
+            {this.lastSearch &&
+              <button type="button" class="btn btn-link alert-link py-0" onClick={e => this.lastSearch(e)}>Try again</button>}
+          </div>}
+        {this.state.failedCategories > 0 &&
+          <div class="alert alert-warning" role="alert">
+            {this.state.failedCategories} {this.state.failedCategories === 1 ? 'category' : 'categories'} could
+            not be loaded and {this.state.failedCategories === 1 ? 'was' : 'were'} left off the board.
+          </div>}
+        {!this.state.searching && !this.state.error && this.state.searchedText !== null &&
+          this.state.categories.length === 0 &&
+          <p class="text-muted">No categories found for "{this.state.searchedText}".</p>}
+
+        {/* review of missed and favorited clues replaces the board */}
+        {this.state.reviewing ?
+          <Review
+            cards={dueCards(this.state.reviewDeck)}
+            onReview={this.onReview}
+            onExit={this.onExitReview}
+            toggleFavorite={this.toggleFavorite}
+            favorites={this.state.favorites}
+            settings={this.state.settings}
+          /> :
+          <div>
+            {/* round header and board-cleared transition during a game */}
+            {this.state.game &&
+              <h4 class="mb-3">
+                {this.state.game.daily ? `Daily Challenge ${this.state.game.daily}` :
+                  this.state.game.finalClue ? 'Final Jeopardy!' : ROUNDS[this.state.game.round].name}
+              </h4>}
+            {this.state.showDailyResult && !this.state.game && this.state.dailyResults[dailyKey()] &&
+              <DailyResult result={this.state.dailyResults[dailyKey()]} />}
+            {this.state.game && this.state.game.daily && this.state.dailyResults[this.state.game.daily] &&
+              <DailyResult result={this.state.dailyResults[this.state.game.daily]} />}
+            {this.state.game && !this.state.game.daily && !this.state.game.finalClue &&
+              isRoundCleared(this.state.categories, this.getBoardAnswers(), this.state.room ? this.state.roomPlayed : []) &&
+              <div class="alert alert-success" role="alert">
+                <h5 class="alert-heading">Board cleared!</h5>
+                {this.state.game.round + 1 < ROUNDS.length ?
+                  <button type="button" class="btn btn-success" onClick={this.onNextRound}>
+                    On to {ROUNDS[this.state.game.round + 1].name}
+                  </button> :
+                  <button type="button" class="btn btn-success" onClick={this.onFinalJeopardy} disabled={this.state.searching}>
+                    On to Final Jeopardy!
+                  </button>}
+              </div>}
+
+            {/* Final Jeopardy replaces the board at the end of a game */}
+            {/* in multiplayer each player wagers and responds in turn */}
+            {this.state.game && this.state.game.finalClue &&
+              <FinalJeopardy
+                key={`${this.state.game.id}-${this.state.currentPlayerId}`}
+                clue={this.state.game.finalClue}
+                score={this.calculateEarnings(this.getCurrentPlayerAnswers(this.getBoardAnswers()).filter(answer => answer.round !== 'final'))}
+                answered={this.getCurrentPlayerAnswers(this.getBoardAnswers()).find(answer => answer.round === 'final')}
+                player={this.getAnsweringPlayer()}
+                onAnswer={this.onAnswer}
+                settings={this.state.settings}
+                revealAnswer={this.isGameOver()}
+              />}
+            {this.isGameOver() &&
+              <div class="alert alert-success" role="alert">
+                {this.isMultiplayer() ?
+                  `That's the game! ${this.state.players.map(player =>
+                    `${player.name} finished with ${this.formatMoney(this.calculateEarnings(
+                      this.getBoardAnswers().filter(answer => answer.player === player.id)))}`).join(', ')}.` :
+                  `That's the game! You finished with ${this.formatMoney(this.calculateEarnings(this.getBoardAnswers()))}.`}
+              </div>}
+
+            {/* Board component to display search results or the game board */}
+            {!(this.state.game && this.state.game.finalClue) &&
+            <Board
+              categories={this.state.categories}
+              gameMode={!!this.state.game}
+              wagerLimits={this.state.game ?
+                dailyDoubleLimits(this.calculateEarnings(this.getCurrentPlayerAnswers(this.getBoardAnswers())), ROUNDS[this.state.game.round]) :
+                null}
+              onAnswer={this.onAnswer}
+              onWager={this.onWager}
+              placedWagers={this.state.game ? this.state.game.wagers : undefined}
+              onOverride={this.onOverride}
+              answered={this.getBoardAnswers()}
+              toggleFavorite={this.toggleFavorite}
+              favorites={this.state.favorites}
+              settings={this.state.settings}
+              onClueChange={this.onClueChange}
+              onRuling={this.onRuling}
+              player={this.getAnsweringPlayer()}
+              roomPlayed={this.state.room ? this.state.roomPlayed : undefined}
+              isRoomClue={clue => this.isRoomClue(clue)}
+            />}
+
+            {/* result count and pagination, for search results only */}
+            {!this.state.game && this.state.categories.length > 0 &&
+              <div class="my-3">
+                <p class="text-muted">
+                  {this.state.categories.length} of {this.state.matchedIds.length} categories
+                </p>
+                {this.state.nextCategoryIndex < this.state.matchedIds.length &&
+                  <button
+                    type="button"
+                    class="btn btn-outline-secondary"
+                    onClick={this.onLoadMore}
+                    disabled={this.state.searching}
+                  >
+                    {!this.state.searching ? 'Load more' : <i class="fas fa-spinner fa-spin"></i>}
+                  </button>}
+              </div>}
+          </div>}
       </div >
     )
   }
@@ -0,0 +1,235 @@
+/**
+ * Configures the IndexedDB database that holds cached responses.
+ */
+const DB_NAME = 'capital-jeopardy-cache';
+const STORE_NAME = 'responses';
+
+/**
+ * Configures how long a cached response is fresh and how much may be cached
+ * before the oldest responses are evicted.
+ */
+export const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+export const DEFAULT_MAX_ENTRIES = 1000;
+export const DEFAULT_MAX_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Configures how far below its limits eviction takes the cache, as a
+ * fraction of them, so it doesn't run again on the very next response.
+ */
+const EVICT_TO = 0.9;
+
+/**
+ * This function wraps an IndexedDB request in a promise.
+ *
+ * @param request the IndexedDB request
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * The IndexedDB store keeps cached responses across browser sessions.
+ */
+class IndexedDbStore {
+  /**
+   * This constructor method opens, and if needed creates, the database.
+   *
+   * @param dbName name of the IndexedDB database
+   */
+  constructor(dbName) {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    this.db = promisify(request);
+  }
+
+  /**
+   * This method runs a request against the object store in its own
+   * transaction.
+   *
+   * @param mode 'readonly' or 'readwrite'
+   * @param makeRequest function creating the request from the object store
+   */
+  run = async (mode, makeRequest) => {
+    const db = await this.db;
+    return promisify(makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  }
+
+  get = key => this.run('readonly', store => store.get(key))
+  put = record => this.run('readwrite', store => store.put(record))
+  delete = key => this.run('readwrite', store => store.delete(key))
+  all = () => this.run('readonly', store => store.getAll())
+  clear = () => this.run('readwrite', store => store.clear())
+}
+
+/**
+ * The memory store keeps cached responses for the current page only, for
+ * browsers and test environments without IndexedDB.
+ */
+class MemoryStore {
+  records = new Map();
+
+  get = async key => this.records.get(key)
+  put = async record => this.records.set(record.key, record)
+  delete = async key => this.records.delete(key)
+  all = async () => [...this.records.values()]
+  clear = async () => this.records.clear()
+}
+
+/**
+ * The response cache remembers responses by request URL so repeated searches
+ * load instantly and keep working offline. Responses older than the TTL are
+ * refetched, but still served when the network is unavailable, and the
+ * oldest responses are evicted once the cache grows past its size limits.
+ * If IndexedDB can't be used, e.g. in private browsing or when it is full,
+ * the cache carries on in memory.
+ *
+ * @version 1.0
+ */
+class ResponseCache {
+  /**
+   * This constructor method opens the cache in IndexedDB when the browser
+   * has it, otherwise in memory.
+   *
+   * @param options optional ttl in milliseconds, maxEntries, maxBytes and
+   * dbName
+   */
+  constructor({ ttl = DEFAULT_TTL, maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MAX_BYTES, dbName = DB_NAME } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.store = typeof indexedDB !== 'undefined' ? new IndexedDbStore(dbName) : new MemoryStore();
+    // number of entries and bytes cached, counted on first use
+    this.totals = null;
+  }
+
+  /**
+   * This method runs an operation against the store, moving the cache into
+   * memory if IndexedDB fails.
+   *
+   * @param operation function taking the store and returning a promise
+   */
+  withStore = async (operation) => {
+    try {
+      return await operation(this.store);
+    } catch (err) {
+      if (this.store instanceof MemoryStore) {
+        throw err;
+      }
+      this.store = new MemoryStore();
+      this.totals = null;
+      return operation(this.store);
+    }
+  }
+
+  /**
+   * This method returns the number of entries and bytes cached, reading
+   * them from the store only the first time.
+   */
+  getTotals = async () => {
+    if (!this.totals) {
+      const records = await this.withStore(store => store.all());
+      this.totals = {
+        entries: records.length,
+        bytes: records.reduce((sum, record) => sum + record.size, 0)
+      };
+    }
+    return this.totals;
+  }
+
+  /**
+   * This method looks up a cached response.
+   *
+   * @param key request URL the response was cached under
+   * @return the cached value with whether it has outlived the TTL, or
+   * undefined if nothing is cached
+   */
+  get = async (key) => {
+    const record = await this.withStore(store => store.get(key));
+    if (!record) {
+      return undefined;
+    }
+    return {
+      value: record.value,
+      expired: Date.now() - record.storedAt > this.ttl
+    };
+  }
+
+  /**
+   * This method caches a response and evicts the oldest responses if the
+   * cache is now over its limits. The totals are kept up to date as
+   * responses are cached, so the whole store is only read when it is over.
+   *
+   * @param key request URL to cache the response under
+   * @param value parsed JSON response
+   */
+  set = async (key, value) => {
+    const totals = await this.getTotals();
+    const size = JSON.stringify(value).length;
+    const previous = await this.withStore(store => store.get(key));
+    await this.withStore(store => store.put({
+      key: key,
+      value: value,
+      storedAt: Date.now(),
+      size: size
+    }));
+    // a fallback to memory while caching starts the totals over
+    if (totals === this.totals) {
+      totals.entries += previous ? 0 : 1;
+      totals.bytes += size - (previous ? previous.size : 0);
+    }
+
+    const { entries, bytes } = await this.getTotals();
+    if (entries > this.maxEntries || bytes > this.maxBytes) {
+      await this.evict();
+    }
+  }
+
+  /**
+   * This method drops the oldest responses until the cache is comfortably
+   * within maxEntries and maxBytes.
+   */
+  evict = async () => {
+    const records = (await this.withStore(store => store.all())).sort((a, b) => a.storedAt - b.storedAt);
+    let bytes = records.reduce((sum, record) => sum + record.size, 0);
+    let entries = records.length;
+    for (let record of records) {
+      if (entries <= this.maxEntries * EVICT_TO && bytes <= this.maxBytes * EVICT_TO) {
+        break;
+      }
+      await this.withStore(store => store.delete(record.key));
+      entries--;
+      bytes -= record.size;
+    }
+    this.totals = { entries: entries, bytes: bytes };
+  }
+
+  /**
+   * This method describes what is in the cache, for showing to the user.
+   *
+   * @return number of cached responses, their total size in bytes, how many
+   * are expired, and when the oldest was cached
+   */
+  stats = async () => {
+    const records = await this.withStore(store => store.all());
+    const now = Date.now();
+    return {
+      entries: records.length,
+      bytes: records.reduce((sum, record) => sum + record.size, 0),
+      expired: records.filter(record => now - record.storedAt > this.ttl).length,
+      oldest: records.length > 0 ? new Date(Math.min(...records.map(record => record.storedAt))) : null
+    };
+  }
+
+  /**
+   * This method empties the cache.
+   */
+  clear = async () => {
+    await this.withStore(store => store.clear());
+    this.totals = { entries: 0, bytes: 0 };
+  }
+}
+
+export default ResponseCache;
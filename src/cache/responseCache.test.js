@@ -0,0 +1,80 @@
+import ResponseCache from './responseCache';
+
+afterEach(() => {
+  delete global.indexedDB;
+  jest.restoreAllMocks();
+});
+
+it('returns cached responses and nothing for others', async () => {
+  const cache = new ResponseCache();
+  await cache.set('/api/clues?category=1', [{ id: 1 }]);
+  expect(await cache.get('/api/clues?category=1')).toEqual({ value: [{ id: 1 }], expired: false });
+  expect(await cache.get('/api/clues?category=2')).toBeUndefined();
+});
+
+it('marks responses older than the TTL as expired', async () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  const cache = new ResponseCache({ ttl: 500 });
+  await cache.set('a', 1);
+  now.mockReturnValue(1400);
+  expect((await cache.get('a')).expired).toBe(false);
+  now.mockReturnValue(1600);
+  expect((await cache.get('a')).expired).toBe(true);
+});
+
+it('evicts the oldest responses past maxEntries', async () => {
+  const now = jest.spyOn(Date, 'now');
+  const cache = new ResponseCache({ maxEntries: 10 });
+  for (let i = 0; i < 11; i++) {
+    now.mockReturnValue(i);
+    await cache.set(`key${i}`, i);
+  }
+  // eviction makes some room rather than dropping just one response
+  expect((await cache.stats()).entries).toBe(9);
+  expect(await cache.get('key0')).toBeUndefined();
+  expect(await cache.get('key1')).toBeUndefined();
+  expect(await cache.get('key10')).toBeDefined();
+});
+
+it('evicts the oldest responses past maxBytes', async () => {
+  const now = jest.spyOn(Date, 'now');
+  const cache = new ResponseCache({ maxBytes: 25 });
+  for (let i = 0; i < 3; i++) {
+    now.mockReturnValue(i);
+    await cache.set(`key${i}`, '12345678');
+  }
+  expect(await cache.stats()).toMatchObject({ entries: 2, bytes: 20 });
+  expect(await cache.get('key0')).toBeUndefined();
+});
+
+it('counts a replaced response once', async () => {
+  const cache = new ResponseCache({ maxEntries: 2 });
+  await cache.set('a', 'first');
+  await cache.set('a', 'second');
+  await cache.set('b', 'other');
+  expect(await cache.get('a')).toEqual({ value: 'second', expired: false });
+  expect((await cache.stats()).entries).toBe(2);
+});
+
+it('describes and clears its contents', async () => {
+  jest.spyOn(Date, 'now').mockReturnValue(5000);
+  const cache = new ResponseCache();
+  await cache.set('a', 'abc');
+  expect(await cache.stats()).toEqual({ entries: 1, bytes: 5, expired: 0, oldest: new Date(5000) });
+  await cache.clear();
+  expect((await cache.stats()).entries).toBe(0);
+});
+
+it('carries on in memory when IndexedDB cannot be opened', async () => {
+  global.indexedDB = {
+    open: () => {
+      const request = { error: new Error('blocked') };
+      setTimeout(() => request.onerror());
+      return request;
+    }
+  };
+  const cache = new ResponseCache();
+  expect(await cache.get('a')).toBeUndefined();
+  await cache.set('a', 1);
+  expect(await cache.get('a')).toEqual({ value: 1, expired: false });
+});
@@ -0,0 +1,104 @@
+/**
+ * Configures the named HTML entities that show up in clue text. Numeric
+ * entities like &#39; are decoded separately.
+ */
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…',
+  eacute: 'é',
+  egrave: 'è',
+  aacute: 'á',
+  iacute: 'í',
+  oacute: 'ó',
+  uacute: 'ú',
+  ntilde: 'ñ',
+  uuml: 'ü',
+  ouml: 'ö',
+  auml: 'ä',
+  ccedil: 'ç'
+};
+
+/**
+ * This function decodes HTML entities such as &amp;, &#39; and &#x2019;.
+ * Unknown named entities and invalid numeric ones are left as they are.
+ *
+ * @param text text that may contain entities
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const number = code[1].toLowerCase() === 'x' ? parseInt(code.substr(2), 16) : parseInt(code.substr(1), 10);
+      // code points past Unicode or reserved for surrogates can't be decoded
+      if (number > 0x10ffff || (number >= 0xd800 && number <= 0xdfff)) {
+        return entity;
+      }
+      return String.fromCodePoint(number);
+    }
+    const decoded = ENTITIES[code.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+/**
+ * This function cleans up a piece of clue text as jService and archive dumps
+ * deliver it: HTML tags like <i>Moby Dick</i> are dropped, line breaks become
+ * spaces, entities are decoded, backslash escapes like \" and \' are undone,
+ * and runs of whitespace are collapsed.
+ *
+ * @param text raw clue text
+ * @return cleaned up text, or '' if there was none
+ */
+export function normalizeText(text) {
+  if (text === null || text === undefined) {
+    return '';
+  }
+  return decodeEntities(String(text)
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<\/?[a-z][^>]*>/gi, ''))
+    .replace(/\\(["'\\])|\\/g, (escape, escaped) => escaped || '')
+    .replace(/[\s\u00a0]+/g, ' ')
+    .trim();
+}
+
+/**
+ * This function cleans up an answer. Besides the usual clean up, quotes
+ * wrapping the whole answer are dropped, since jService often stores titles
+ * as "Moby Dick" with the quotes included.
+ *
+ * @param answer raw answer text
+ */
+export function normalizeAnswer(answer) {
+  const text = normalizeText(answer);
+  const quoted = text.match(/^"([^"]*)"$/) || text.match(/^'([^']*)'$/);
+  return quoted ? quoted[1].trim() : text;
+}
+
+/**
+ * This function cleans up the question, answer and category title of a clue
+ * as it enters the app, leaving everything else about the clue untouched.
+ *
+ * @param clue jService-style clue
+ * @return a cleaned up copy of the clue
+ */
+export function normalizeClue(clue) {
+  return {
+    ...clue,
+    question: normalizeText(clue.question),
+    answer: normalizeAnswer(clue.answer),
+    category: clue.category ? {
+      ...clue.category,
+      title: normalizeText(clue.category.title)
+    } : clue.category
+  };
+}
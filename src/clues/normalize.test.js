@@ -0,0 +1,66 @@
+import { decodeEntities, normalizeText, normalizeAnswer, normalizeClue } from './normalize';
+
+it('decodes named and numeric entities', () => {
+  expect(decodeEntities('Rock &amp; Roll')).toBe('Rock & Roll');
+  expect(decodeEntities('Ol&#39; Blue Eyes')).toBe("Ol' Blue Eyes");
+  expect(decodeEntities('Caf&eacute; &#x2014; Paris')).toBe('Café — Paris');
+  expect(decodeEntities('&bogus; stays')).toBe('&bogus; stays');
+});
+
+it('leaves numeric entities that are not characters undecoded', () => {
+  expect(decodeEntities('a &#99999999; b')).toBe('a &#99999999; b');
+  expect(decodeEntities('&#xD800;&#x1F600;')).toBe('&#xD800;\u{1F600}');
+  expect(normalizeText('a &#99999999; b')).toBe('a &#99999999; b');
+  expect(normalizeAnswer('&#x110000;')).toBe('&#x110000;');
+});
+
+it('strips HTML tags from answers', () => {
+  expect(normalizeAnswer('<i>Moby Dick</i>')).toBe('Moby Dick');
+  expect(normalizeAnswer('<i>The Sun Also Rises</i> (by Hemingway)')).toBe('The Sun Also Rises (by Hemingway)');
+  expect(normalizeAnswer('H<sub>2</sub>O')).toBe('H2O');
+  expect(normalizeAnswer('<a href="http://www.j-archive.com/media/2004-03-15_J_01.jpg" target="_blank">Ishmael</a>')).toBe('Ishmael');
+});
+
+it('undoes backslash escapes', () => {
+  expect(normalizeAnswer("Ol\\' Man River")).toBe("Ol' Man River");
+  expect(normalizeText('He said, \\"Call me Ishmael\\"')).toBe('He said, "Call me Ishmael"');
+  expect(normalizeAnswer('AC\\\\DC')).toBe('AC\\DC');
+  expect(normalizeAnswer('stray \\ backslash')).toBe('stray backslash');
+});
+
+it('collapses whitespace and line breaks', () => {
+  expect(normalizeText('  the   Louisiana\n Purchase ')).toBe('the Louisiana Purchase');
+  expect(normalizeText('first line<br />second line')).toBe('first line second line');
+  expect(normalizeText('non&nbsp;breaking\u00a0space')).toBe('non breaking space');
+});
+
+it('drops quotes that wrap the whole answer', () => {
+  expect(normalizeAnswer('"Moby Dick"')).toBe('Moby Dick');
+  expect(normalizeAnswer('\\"Hey Jude\\"')).toBe('Hey Jude');
+  expect(normalizeAnswer("'Tis the Season")).toBe("'Tis the Season");
+  expect(normalizeAnswer('"Sister" Carrie" ')).toBe('"Sister" Carrie"');
+});
+
+it('treats missing text as empty', () => {
+  expect(normalizeText(null)).toBe('');
+  expect(normalizeText(undefined)).toBe('');
+  expect(normalizeText(1776)).toBe('1776');
+});
+
+it('normalizes a whole clue without touching its other fields', () => {
+  const clue = {
+    id: 87641,
+    answer: '<i>Leaves of Grass</i>',
+    question: 'Walt Whitman kept revising this poetry collection until his death in 1892',
+    value: 1000,
+    airdate: '2004-03-15T12:00:00.000Z',
+    category_id: 11497,
+    category: { id: 11497, title: 'american  lit &amp; poetry', clues_count: 5 }
+  };
+  expect(normalizeClue(clue)).toEqual({
+    ...clue,
+    answer: 'Leaves of Grass',
+    category: { id: 11497, title: 'american lit & poetry', clues_count: 5 }
+  });
+  expect(clue.answer).toBe('<i>Leaves of Grass</i>');
+});
@@ -0,0 +1,109 @@
+import React, { Component } from 'react';
+import DisplayChannel from '../sync/displayChannel';
+
+/**
+ * The AudienceDisplay component is the clean view for a projector: the board,
+ * the clue being played and the scores, with no answers or hints. It has no
+ * state of its own and shows whatever the host console last published.
+ *
+ * @version 1.0
+ */
+class AudienceDisplay extends Component {
+    /**
+     * This constructor method constructs the display with nothing to show
+     * until the host console publishes.
+     *
+     * @param props makes it a React component
+     */
+    constructor(props) {
+        super(props);
+        this.state = {
+            display: null
+        }
+    }
+
+    /**
+     * This method listens to the host console and asks it for the current
+     * state, in case the display opened after the game started.
+     */
+    componentDidMount() {
+        this.channel = new DisplayChannel();
+        this.channel.onState(display => this.setState({ display: display }));
+        this.channel.requestState();
+    }
+
+    /**
+     * This method stops listening when the display goes away.
+     */
+    componentWillUnmount() {
+        this.channel.close();
+    }
+
+    /**
+     * This method formats a score, putting the sign before the dollar sign.
+     * @param score score to format
+     */
+    formatScore(score) {
+        return `${score < 0 ? '-' : ''}$${Math.abs(score)}`;
+    }
+
+    /**
+     * This method displays the board, or the clue being played over it.
+     */
+    render() {
+        const display = this.state.display;
+        if (!display) {
+            return <h4 class="my-5 text-muted">Waiting for the host console...</h4>;
+        }
+
+        const clue = display.clue;
+        let main;
+        if (clue) {
+            main =
+                <div class="audience-clue">
+                    <h4>{clue.category} for ${clue.value}</h4>
+                    {clue.dailyDouble && <h2 class="text-warning">Daily Double!</h2>}
+                    {clue.question && <h1>{clue.question}</h1>}
+                </div>;
+        } else if (display.finalCategory) {
+            // the category shows while players wager, the clue once revealed
+            main =
+                <div class="audience-clue">
+                    <h2>Final Jeopardy!</h2>
+                    <h1>{display.finalCategory}</h1>
+                    {display.finalQuestion && <h1 class="mt-4">{display.finalQuestion}</h1>}
+                </div>;
+        } else {
+            // played clues leave an empty space, as on the show
+            main =
+                <div class="row">
+                    {display.categories.map(category =>
+                        <div key={category.id} class="col-4 col-md-2 px-1 game-category">
+                            <h5 class="card-title">{category.title}</h5>
+                            {category.clues.map(boardClue =>
+                                <div key={boardClue.id} class={`btn btn-primary btn-block ${boardClue.played ? 'invisible' : ''}`}>
+                                    ${boardClue.value}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>;
+        }
+
+        return (
+            <div class="audience-display">
+                {display.round && <h3 class="mb-3">{display.round}</h3>}
+                {main}
+                <div class="mt-4">
+                    {display.scores.map(score =>
+                        <span key={score.name} class="badge badge-success mx-2 audience-score">
+                            {score.name} {this.formatScore(score.score)}
+                        </span>
+                    )}
+                </div>
+            </div>
+        )
+    }
+}
+
+export default AudienceDisplay;
@@ -2,7 +2,8 @@ import React, { Component } from 'react';
 import Category from './category';
 
 /**
- * The Board component displays categories that match the search.
+ * The Board component displays categories that match the search, or the six
+ * categories of a game round.
  * 
  * @author Jessie Sui
  * @version 1.0
@@ -22,7 +23,8 @@ class Board extends Component {
     }
 
     /**
-     * This method updates the board when the categories change.
+     * This method updates the board when the categories change, which
+     * happens once per category while a search is still loading.
      *
      * @param prevProps used to detect a change in categories
      */
@@ -37,9 +39,11 @@ class Board extends Component {
      * This method displays the board.
      */
     render() {
+        // every clue on the board can lend its answer as a multiple-choice distractor
+        const choicePool = [].concat(...this.state.categories.map(category => category.clues));
         // maps categories to Category component for rendering
         const listItems = this.state.categories.map((category) =>
-            <Category category={category} onAnswer={this.props.onAnswer} answered={this.props.answered} toggleFavorite={this.props.toggleFavorite} favorites={this.props.favorites} />
+            <Category key={category.id} category={category} gameMode={this.props.gameMode} wagerLimits={this.props.wagerLimits} onAnswer={this.props.onAnswer} onOverride={this.props.onOverride} answered={this.props.answered} toggleFavorite={this.props.toggleFavorite} favorites={this.props.favorites} settings={this.props.settings} player={this.props.player} onClueChange={this.props.onClueChange} onRuling={this.props.onRuling} choicePool={choicePool} placedWagers={this.props.placedWagers} onWager={this.props.onWager} roomPlayed={this.props.roomPlayed} isRoomClue={this.props.isRoomClue} />
         );
 
         return (
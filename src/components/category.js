@@ -1,4 +1,7 @@
 import React, { Component } from 'react';
+import { judgeEntry, isQuestionForm, isBorderline } from '../judging/judge';
+import { validateWager } from '../game/wagers';
+import { makeChoices } from '../judging/choices';
 
 /**
  * Configures initial state of category.
@@ -6,13 +9,32 @@ import React, { Component } from 'react';
 const INITIAL_STATE = {
     category: null,
     selectedClue: null,
-    answer: ''
+    answer: '',
+    warning: '',
+    wager: '',
+    placedWager: null,
+    phase: null,
+    secondsLeft: 0,
+    choices: []
+}
+
+/**
+ * Configures what the user does in each phase of a timed clue and which
+ * phase follows it. Daily Doubles skip the buzz since nobody else can.
+ */
+const PHASES = {
+    reading: { label: 'Read the clue', next: 'buzz' },
+    buzz: { label: 'Buzz in!', next: null },
+    answer: { label: 'Answer!', next: null }
 }
 
 /**
  * The Category component shows up to 5 clue buttons organized on a card as
  * they would be in a game, with easier questions on top. When the user presses
  * a clue the card flips over and shows the question with an answer field.
+ * In game mode it is one column of the board, and played clues disappear.
+ * With timers on, the back counts down a reading, a buzz and an answer window.
+ * In multiple-choice mode the answer field is replaced by four choices.
  * 
  * @author Jessie Sui
  * @version 1.0
@@ -46,6 +68,13 @@ class Category extends Component {
         } console.log(this.state.category)
     }
 
+    /**
+     * This method stops a running clue timer when the category goes away.
+     */
+    componentWillUnmount() {
+        clearInterval(this.timer);
+    }
+
     /**
      * This method updates the answer bar based on user input.
      * @param event user types into the answer bar
@@ -63,25 +92,237 @@ class Category extends Component {
      */
     setClue = (clue) => {
         console.log('set clue')
+        const selectedClue = this.state.selectedClue ? null : clue;
+        // a Daily Double closed after wagering keeps its wager when reopened
+        const placedWager = this.getPlacedWager(selectedClue);
+        const timed = !!selectedClue && this.markClue(selectedClue) === "primary" && !this.isInRoom(selectedClue) &&
+            !(this.props.gameMode && selectedClue.dailyDouble && placedWager === null);
         this.setState({
             ...this.state,
-            selectedClue: this.state.selectedClue ? null : clue,
-            answer: ''
+            ...this.startTimer(timed ? 'reading' : null),
+            selectedClue: selectedClue,
+            answer: '',
+            warning: '',
+            wager: '',
+            placedWager: placedWager,
+            choices: this.getChoices(selectedClue)
         })
+        // lets a hosted room know which clue is open for buzzing
+        if (this.props.onClueChange) {
+            this.props.onClueChange(selectedClue);
+        }
+    }
+
+    /**
+     * This method returns whether a clue is played by the players of a
+     * hosted room on their phones rather than answered here.
+     * @param clue the specified clue
+     */
+    isInRoom = (clue) => {
+        return !!this.props.isRoomClue && this.props.isRoomClue(clue);
+    }
+
+    /**
+     * This method returns the wager already placed on a clue, or null if
+     * there is none.
+     * @param clue the specified clue
+     */
+    getPlacedWager = (clue) => {
+        const wager = clue && (this.props.placedWagers || {})[clue.id];
+        return wager === undefined || wager === null ? null : wager;
+    }
+
+    /**
+     * This method returns the choices to offer for a clue in multiple-choice
+     * mode, with distractors taken from the other clues on the board, or none
+     * when the mode is off.
+     * @param clue the specified clue
+     */
+    getChoices = (clue) => {
+        if (!clue || !(this.props.settings || {}).multipleChoice) {
+            return [];
+        }
+        return makeChoices(clue, this.props.choicePool || this.state.category.clues);
+    }
+
+    /**
+     * This method starts the countdown for a phase of a timed clue, or stops
+     * it when timers are off or no phase is given, and returns the state the
+     * phase starts with.
+     * @param phase 'reading', 'buzz' or 'answer'
+     */
+    startTimer = (phase) => {
+        clearInterval(this.timer);
+        const settings = this.props.settings || {};
+        if (!phase || !settings.timers) {
+            return { phase: null, secondsLeft: 0 };
+        }
+        this.timer = setInterval(this.tick, 1000);
+        return { phase: phase, secondsLeft: settings[`${phase}Seconds`] };
+    }
+
+    /**
+     * This method counts down the current phase. When reading time is up the
+     * user may buzz in, and when the buzz or answer window closes the clue is
+     * recorded as not answered.
+     */
+    tick = () => {
+        if (this.state.secondsLeft > 1) {
+            this.setState({
+                ...this.state,
+                secondsLeft: this.state.secondsLeft - 1
+            });
+            return;
+        }
+
+        // a Daily Double goes straight from reading to answering
+        const next = this.state.placedWager !== null ? 'answer' : PHASES[this.state.phase].next;
+        if (this.state.phase === 'reading' && next) {
+            this.setState({
+                ...this.state,
+                ...this.startTimer(next)
+            });
+        } else {
+            this.timeOut();
+        }
+    }
+
+    /**
+     * This method lets the user respond once they buzz in.
+     */
+    buzzIn = () => {
+        this.setState({
+            ...this.state,
+            ...this.startTimer('answer')
+        });
+    }
+
+    /**
+     * This method records the clue as not answered when time runs out. In
+     * multiplayer with nobody picked, the clock stops and someone has to be
+     * picked first, since a timeout belongs to whoever was answering.
+     */
+    timeOut = () => {
+        if (this.props.player === null) {
+            this.setState({
+                ...this.state,
+                ...this.startTimer(null),
+                warning: 'Pick who is answering first.'
+            });
+            return;
+        }
+        this.setState({
+            ...this.state,
+            ...this.startTimer(null)
+        });
+        this.props.onAnswer(this.state.selectedClue, '',
+            this.state.placedWager === null ? undefined : this.state.placedWager);
+        if (!this.props.gameMode) {
+            this.setClue(null);
+        }
+    }
+
+    /**
+     * This method returns whether the user still has to wager before seeing a
+     * clue, which is the case for Daily Doubles in a game.
+     * @param clue the specified clue
+     */
+    needsWager = (clue) => {
+        return !!this.props.gameMode && !!clue && !!clue.dailyDouble &&
+            this.markClue(clue) === "primary" && this.state.placedWager === null;
+    }
+
+    /**
+     * This method places the user's Daily Double wager if it is within the
+     * allowed limits, revealing the clue, or explains what is wrong with it.
+     * The parent component keeps the wager until the clue is answered.
+     */
+    placeWager = () => {
+        const problem = validateWager(this.state.wager, this.props.wagerLimits);
+        this.setState({
+            ...this.state,
+            ...this.startTimer(problem ? null : 'reading'),
+            warning: problem || '',
+            placedWager: problem ? null : Number(this.state.wager)
+        });
+        if (!problem && this.props.onWager) {
+            this.props.onWager(this.state.selectedClue, Number(this.state.wager));
+        }
     }
 
     /**
      * This method passes the user's answer back to the parent component and returns
-     * to the clue buttons.
+     * to the clue buttons. When responses must be phrased as a question, an answer
+     * that isn't is sent back with a reminder instead, as is any answer in
+     * multiplayer before a player has been picked.
+     * @param answer the user's answer, by default what they typed
+     */
+    submitAnswer = (answer = this.state.answer) => {
+        // with several players sharing the screen, somebody has to be answering
+        if (this.props.player === null) {
+            this.setState({
+                ...this.state,
+                warning: 'Pick who is answering first.'
+            });
+            return;
+        }
+        // a picked choice can't be phrased as a question, so it isn't checked
+        if ((this.props.settings || {}).requireQuestionForm && !this.isMultipleChoice() && !isQuestionForm(answer)) {
+            this.setState({
+                ...this.state,
+                warning: 'Remember to phrase your response in the form of a question, like "What is...?"'
+            });
+            return;
+        }
+        this.setState({
+            ...this.state,
+            ...this.startTimer(null)
+        });
+        this.props.onAnswer(this.state.selectedClue, answer,
+            this.state.placedWager === null ? undefined : this.state.placedWager);
+        // in a game the clue leaves the board once played, so its card stays
+        // flipped to show the correct answer until the user closes it
+        if (!this.props.gameMode) {
+            this.setClue(null);
+        }
+    }
+
+    /**
+     * This method returns whether the selected clue is answered by picking a
+     * choice. With too few other answers to choose from, it is typed instead.
+     */
+    isMultipleChoice = () => {
+        return this.state.choices.length > 1;
+    }
+
+    /**
+     * This method passes the host's ruling on a response given out loud back
+     * to the parent component, returning to the clue buttons as when an
+     * answer is submitted.
+     * @param ruling 'right', 'wrong' or 'pass'
      */
-    submitAnswer = () => {
-        this.props.onAnswer(this.state.selectedClue, this.state.answer);
-        this.setClue(null);
+    rule = (ruling) => {
+        if (this.props.player === null) {
+            this.setState({
+                ...this.state,
+                warning: 'Pick who is answering first.'
+            });
+            return;
+        }
+        this.setState({
+            ...this.state,
+            ...this.startTimer(null)
+        });
+        this.props.onRuling(this.state.selectedClue, ruling,
+            this.state.placedWager === null ? undefined : this.state.placedWager);
+        if (!this.props.gameMode) {
+            this.setClue(null);
+        }
     }
 
     /**
-     * This method marks a clue button red or green depending on whether the user
-     * answered correctly.
+     * This method marks a clue button red or green depending on whether the judge
+     * accepted the user's answer, or grey if it was played in a hosted room.
      */
     markClue = (clue) => {
         if (!clue) {
@@ -89,10 +330,10 @@ class Category extends Component {
         }
 
         const clueMatchedAnswers = this.props.answered.filter(answer => answer.clue.id === clue.id);
-        if (clueMatchedAnswers.length == 0) {
-            return "primary";
+        if (clueMatchedAnswers.length === 0) {
+            return (this.props.roomPlayed || []).includes(clue.id) ? "secondary" : "primary";
         } else {
-            return clueMatchedAnswers.some(answer => answer.answer === clue.answer) ? "success" : "danger";
+            return clueMatchedAnswers.some(answer => judgeEntry(answer).correct) ? "success" : "danger";
         }
     }
 
@@ -104,6 +345,60 @@ class Category extends Component {
         return this.props.answered.filter(answer => answer.clue.id === clue.id).map(answer => answer.answer)[0];
     }
 
+    /**
+     * This method returns whether the user overrode the judge on a clue.
+     * @param clue the specified clue
+     */
+    isOverridden = (clue) => {
+        return this.props.answered.some(answer => answer.clue.id === (clue || {}).id && judgeEntry(answer).overridden);
+    }
+
+    /**
+     * This method returns what the user wagered on a clue, if it was a Daily
+     * Double.
+     * @param clue the specified clue
+     */
+    getMyWager = (clue) => {
+        const entry = this.props.answered.find(answer => answer.clue.id === (clue || {}).id);
+        return entry ? entry.wager : undefined;
+    }
+
+    /**
+     * This method returns the heading of the back of the card: the clue's
+     * value, or its wager for a Daily Double.
+     * @param clue the specified clue
+     */
+    getClueHeading = (clue) => {
+        if (!clue) {
+            return '';
+        }
+        if (!clue.dailyDouble || !this.props.gameMode) {
+            return `$${clue.value}`;
+        }
+        const wager = this.state.placedWager !== null ? this.state.placedWager : this.getMyWager(clue);
+        return wager !== undefined ? `Daily Double: $${wager}` : 'Daily Double!';
+    }
+
+    /**
+     * This method returns how closely the user's answer to a clue matched the
+     * correct answer, as a whole percentage.
+     * @param clue the specified clue
+     */
+    getMatchPercent = (clue) => {
+        const entry = this.props.answered.find(answer => answer.clue.id === clue.id);
+        return entry ? Math.round(judgeEntry(entry).confidence * 100) : 0;
+    }
+
+    /**
+     * This method returns whether the judge's ruling on the user's answer to
+     * a clue was a close call they should check.
+     * @param clue the specified clue
+     */
+    isCloseCall = (clue) => {
+        const entry = this.props.answered.find(answer => answer.clue.id === (clue || {}).id);
+        return !!entry && isBorderline(judgeEntry(entry));
+    }
+
     /**
      * This method gives the user a hint to a clue.
      * @param clue the specified clue
@@ -132,15 +427,25 @@ class Category extends Component {
     render() {
         // maps only the first 5 qualified clues for rendering in category
         const first5Clues = this.state.category.clues.slice(0, 5);
-        // shows a heart next to favorited clues
+        // shows a heart next to favorited clues; in a game, played clues leave
+        // an empty space on the board
         const listItems = first5Clues.map((clue) =>
-            <button onClick={e => this.setClue(clue)} class={`btn btn-${this.markClue(clue)} btn-block ${this.state.selectedClue ? 'bg-warning' : ''}`}>${clue.value}
-                <i class={`ml-1 text-danger ${this.isFavorite(clue) ? 'fas fa-heart' : ''}`}></i>
-            </button>
+            this.props.gameMode && this.markClue(clue) !== "primary" ?
+                <div class="btn btn-block invisible" aria-hidden="true">${clue.value}</div> :
+                <button onClick={e => this.setClue(clue)} class={`btn btn-${this.markClue(clue)} btn-block ${this.state.selectedClue ? 'bg-warning' : ''}`}>${clue.value}
+                    <i class={`ml-1 text-danger ${this.isFavorite(clue) ? 'fas fa-heart' : ''}`}></i>
+                </button>
         );
 
+        // a game board is six columns wide, and the category with the selected
+        // clue moves to the top at full width so the clue is readable
+        let columnClass = "col-6 col-sm-4 col-md-4 col-lg-4";
+        if (this.props.gameMode) {
+            columnClass = this.state.selectedClue ? "col-12 order-first game-category" : "col-4 col-md-2 px-1 game-category";
+        }
+
         return (
-            <div class="card col-6 col-sm-4 col-md-4 col-lg-4 py-3">
+            <div class={`card ${columnClass} py-3`}>
                 <div class="flip-card">
                     <div class={`flip-card-inner ${this.state.selectedClue ? 'flip' : ''}`}>
                         {/* the front of each category shows clue buttons organized as they would be in a game*/}
@@ -173,20 +478,126 @@ class Category extends Component {
                                 </span>
                             </button>
 
-                            <h5 >${this.state.selectedClue ? this.state.selectedClue.value : ''}</h5 >
-                            {/* Displays the question with an answer field and hint if never answered before.
+                            <h5 >{this.getClueHeading(this.state.selectedClue)}</h5 >
+                            {this.props.player &&
+                                <p class="text-small text-muted mb-1">{this.props.player.name} is answering</p>}
+                            {/* Displays a wager field for a Daily Double before showing its question.
+                            Displays the question with an answer field and hint if never answered before.
                             Displays user answer and the correct answer after user submits an answer. */}
-                            <p class="text-small">{this.state.selectedClue ? this.state.selectedClue.question : ''}</p>
+                            {this.needsWager(this.state.selectedClue) ?
+                                <div>
+                                    <p class="text-small">
+                                        {this.state.category.title}: wager between
+                                        ${this.props.wagerLimits.min} and ${this.props.wagerLimits.max}
+                                    </p>
+                                    <div class="input-group mb-3">
+                                        <div class="input-group-prepend">
+                                            <span class="input-group-text">$</span>
+                                        </div>
+                                        <input
+                                            type="number"
+                                            name="wager"
+                                            value={this.state.wager}
+                                            class="form-control"
+                                            placeholder="Wager"
+                                            aria-label="Wager"
+                                            min={this.props.wagerLimits.min}
+                                            max={this.props.wagerLimits.max}
+                                            onChange={this.onChange}
+                                        />
+                                        <div class="input-group-append">
+                                            <button
+                                                onClick={event => this.placeWager()}
+                                                class="btn btn-outline-secondary"
+                                                type="button"
+                                            >
+                                                Wager
+                                            </button>
+                                        </div>
+                                    </div>
+                                    {this.state.warning &&
+                                        <p class="text-small text-danger">{this.state.warning}</p>}
+                                </div>
+                                :
+                                <p class="text-small">{this.state.selectedClue ? this.state.selectedClue.question : ''}</p>}
                             {
+                                this.needsWager(this.state.selectedClue) ? null :
+                                this.markClue(this.state.selectedClue) === "primary" && this.isInRoom(this.state.selectedClue) ?
+                                    <p class="text-small text-muted">Players are buzzing in on their phones. Close the card if nobody gets it.</p> :
+                                this.markClue(this.state.selectedClue) === "secondary" ?
+                                    <div class="text-small">
+                                        <div>Played in the room.</div>
+                                        <div>Correct Answer: {this.state.selectedClue.answer}</div>
+                                    </div> :
                                 this.markClue(this.state.selectedClue) === "primary" ?
                                     <div>
+                                        {/* the countdown for the current phase of a timed clue */}
+                                        {this.state.phase &&
+                                            <div class="mb-2">
+                                                <div class="text-small">{PHASES[this.state.phase].label}</div>
+                                                <div class="progress clue-timer">
+                                                    <div
+                                                        class={`progress-bar ${this.state.phase === 'reading' ? 'bg-info' : 'bg-warning'}`}
+                                                        role="progressbar"
+                                                        style={{ width: `${100 * this.state.secondsLeft / this.props.settings[`${this.state.phase}Seconds`]}%` }}
+                                                    >
+                                                        {this.state.secondsLeft}s
+                                                    </div>
+                                                </div>
+                                            </div>}
+
+                                        {this.state.phase === 'reading' ? null :
+                                        this.state.phase === 'buzz' ?
+                                            <button
+                                                type="button"
+                                                class="btn btn-warning btn-block mb-3"
+                                                onClick={event => this.buzzIn()}
+                                            >
+                                                Buzz in
+                                            </button> :
+                                        (this.props.settings || {}).hostConsole ?
+                                        <div>
+                                            {/* the host reads the answer and rules on the response given out loud */}
+                                            <p class="text-small">
+                                                Correct Answer: <strong>{(this.state.selectedClue || {}).answer}</strong>
+                                            </p>
+                                            <div class="btn-group d-flex mb-3" role="group" aria-label="Ruling">
+                                                <button type="button" class="btn btn-success w-100" onClick={event => this.rule('right')}>
+                                                    Right
+                                                </button>
+                                                <button type="button" class="btn btn-danger w-100" onClick={event => this.rule('wrong')}>
+                                                    Wrong
+                                                </button>
+                                                <button type="button" class="btn btn-secondary w-100" onClick={event => this.rule('pass')}>
+                                                    Pass
+                                                </button>
+                                            </div>
+                                            {this.state.warning &&
+                                                <p class="text-small text-danger">{this.state.warning}</p>}
+                                        </div> :
+                                        this.isMultipleChoice() ?
+                                        <div>
+                                            {this.state.choices.map(choice =>
+                                                <button
+                                                    key={choice}
+                                                    type="button"
+                                                    class="btn btn-outline-primary btn-block btn-sm text-wrap"
+                                                    onClick={event => this.submitAnswer(choice)}
+                                                >
+                                                    {choice}
+                                                </button>
+                                            )}
+                                            {this.state.warning &&
+                                                <p class="text-small text-danger mt-2">{this.state.warning}</p>}
+                                        </div> :
+                                        <div>
                                         <div class="input-group mb-3">
                                             <input
                                                 type="text"
                                                 name="answer"
                                                 value={this.state.answer}
                                                 class="form-control"
-                                                placeholder="Answer"
+                                                placeholder={(this.props.settings || {}).requireQuestionForm ? 'What is...?' : 'Answer'}
                                                 aria-label="Answer"
                                                 aria-describedby="button-addon2"
                                                 onChange={this.onChange}
@@ -203,14 +614,41 @@ class Category extends Component {
                                             </div>
                                         </div>
 
+                                        {this.state.warning &&
+                                            <p class="text-small text-danger">{this.state.warning}</p>}
+
                                         <p class="text-small text-muted">
                                             Hint: {this.getHint(this.state.selectedClue)}
                                         </p>
+                                        </div>}
                                     </div>
                                     :
                                     <div class="text-small">
-                                        <div>Your Answer: {this.getMyAnswer(this.state.selectedClue)}</div>
+                                        <div>Your Answer: {this.getMyAnswer(this.state.selectedClue)}
+                                            <span class="ml-1 text-muted">({this.getMatchPercent(this.state.selectedClue)}% match)</span>
+                                        </div>
                                         <div>Correct Answer: {this.state.selectedClue.answer}</div>
+                                        {this.isCloseCall(this.state.selectedClue) &&
+                                            <div class="text-warning">Close call: check your answer against the correct one.</div>}
+
+                                        {/* lets the user overrule the judge, e.g. for an abbreviation it didn't accept */}
+                                        {this.markClue(this.state.selectedClue) === "danger" ?
+                                            <button
+                                                type="button"
+                                                class="btn btn-sm btn-outline-success mt-2"
+                                                onClick={e => this.props.onOverride(this.state.selectedClue, true)}
+                                            >
+                                                I was right
+                                            </button> :
+                                            <button
+                                                type="button"
+                                                class="btn btn-sm btn-outline-danger mt-2"
+                                                onClick={e => this.props.onOverride(this.state.selectedClue, false)}
+                                            >
+                                                I was wrong
+                                            </button>}
+                                        {this.isOverridden(this.state.selectedClue) &&
+                                            <div class="text-muted">You overrode the judge on this one.</div>}
                                     </div>
                             }
 
@@ -0,0 +1,52 @@
+import React, { Component } from 'react';
+
+/**
+ * The DailyResult component shows how the user did on a daily challenge as
+ * the spoiler-free summary they can share, with a button to copy it.
+ *
+ * @version 1.0
+ */
+class DailyResult extends Component {
+    /**
+     * This constructor method constructs the result, not yet copied.
+     *
+     * @param props makes it a React component
+     */
+    constructor(props) {
+        super(props);
+        this.state = {
+            copied: false
+        }
+    }
+
+    /**
+     * This method copies the summary to the clipboard.
+     */
+    copySummary = async () => {
+        try {
+            await navigator.clipboard.writeText(this.props.result.summary);
+            this.setState({ copied: true });
+        } catch (err) {
+            // the summary can still be selected and copied by hand
+            this.setState({ copied: false });
+        }
+    }
+
+    /**
+     * This method displays the result.
+     */
+    render() {
+        return (
+            <div class="alert alert-success" role="alert">
+                <h5 class="alert-heading">Daily Challenge complete!</h5>
+                <pre class="daily-summary">{this.props.result.summary}</pre>
+                <button type="button" class="btn btn-success btn-sm" onClick={this.copySummary}>
+                    {this.state.copied ? 'Copied!' : 'Copy result'}
+                </button>
+                <p class="text-small mb-0 mt-2">Come back tomorrow for a new board.</p>
+            </div>
+        )
+    }
+}
+
+export default DailyResult;
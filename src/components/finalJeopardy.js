@@ -0,0 +1,251 @@
+import React, { Component } from 'react';
+import { judgeAnswer, isQuestionForm } from '../judging/judge';
+import { finalJeopardyLimits, validateWager } from '../game/wagers';
+
+/**
+ * Configures how long the user has to respond once the clue is revealed.
+ */
+const ANSWER_SECONDS = 30;
+
+/**
+ * Configures initial state of Final Jeopardy. The stage goes from 'wager',
+ * where only the category is shown, to 'clue' and then 'result'.
+ */
+const INITIAL_STATE = {
+    stage: 'wager',
+    wager: '',
+    placedWager: null,
+    answer: '',
+    warning: '',
+    secondsLeft: ANSWER_SECONDS
+}
+
+/**
+ * The FinalJeopardy component plays the last step of a game: it shows only
+ * the category title and takes a wager bounded by the current score, then
+ * reveals the clue with a countdown and judges the response. In multiplayer
+ * it is played once for each player, and the correct answer stays hidden
+ * until the last of them has responded.
+ *
+ * @version 1.0
+ */
+class FinalJeopardy extends Component {
+    /**
+     * This constructor method constructs Final Jeopardy for the clue passed
+     * down from its parent component, going straight to the result if the
+     * clue was already answered.
+     *
+     * @param props makes it a React component
+     */
+    constructor(props) {
+        super(props);
+        const answered = props.answered;
+        this.state = answered ? {
+            ...INITIAL_STATE,
+            stage: 'result',
+            answer: answered.answer,
+            placedWager: answered.wager,
+            secondsLeft: 0
+        } : {
+            ...INITIAL_STATE
+        }
+    }
+
+    /**
+     * This method stops the countdown if the component goes away mid-clue.
+     */
+    componentWillUnmount() {
+        clearInterval(this.timer);
+    }
+
+    /**
+     * This method updates the wager and answer fields based on user input.
+     * @param event user types into a field
+     */
+    onChange = event => {
+        this.setState({
+            ...this.state,
+            [event.target.name]: event.target.value
+        });
+    }
+
+    /**
+     * This method places the wager if it is within the limits and reveals the
+     * clue, starting the countdown.
+     */
+    placeWager = () => {
+        // with several players sharing the screen, somebody has to be wagering
+        if (this.props.player === null) {
+            this.setState({
+                ...this.state,
+                warning: 'Pick who is wagering first.'
+            });
+            return;
+        }
+        const problem = validateWager(this.state.wager, finalJeopardyLimits(this.props.score));
+        if (problem) {
+            this.setState({
+                ...this.state,
+                warning: problem
+            });
+            return;
+        }
+
+        this.setState({
+            ...this.state,
+            stage: 'clue',
+            placedWager: Number(this.state.wager),
+            warning: ''
+        });
+        this.timer = setInterval(this.tick, 1000);
+    }
+
+    /**
+     * This method counts down the time left to respond and submits whatever
+     * the user has typed when it runs out.
+     */
+    tick = () => {
+        if (this.state.secondsLeft <= 1) {
+            this.submitAnswer(true);
+            return;
+        }
+        this.setState({
+            ...this.state,
+            secondsLeft: this.state.secondsLeft - 1
+        });
+    }
+
+    /**
+     * This method stops the countdown and passes the response and wager back
+     * to the parent component. When responses must be phrased as a question,
+     * one that isn't is sent back with a reminder while there is time left,
+     * and counts as no response once time is up.
+     * @param timedOut whether the countdown ran out
+     */
+    submitAnswer = (timedOut = false) => {
+        const unphrased = (this.props.settings || {}).requireQuestionForm && !isQuestionForm(this.state.answer);
+        if (unphrased && !timedOut) {
+            this.setState({
+                ...this.state,
+                warning: 'Remember to phrase your response in the form of a question, like "What is...?"'
+            });
+            return;
+        }
+
+        const answer = unphrased ? '' : this.state.answer;
+        clearInterval(this.timer);
+        this.setState({
+            ...this.state,
+            stage: 'result',
+            answer: answer,
+            warning: '',
+            secondsLeft: 0
+        });
+        this.props.onAnswer(this.props.clue, answer, this.state.placedWager);
+    }
+
+    /**
+     * This method displays Final Jeopardy.
+     */
+    render() {
+        const clue = this.props.clue;
+        const limits = finalJeopardyLimits(this.props.score);
+
+        return (
+            <div class="card my-3">
+                <div class="card-body">
+                    <h4 class="card-title">Final Jeopardy!</h4>
+                    <h5>{clue.category.title}</h5>
+                    {this.props.player &&
+                        <p class="text-small text-muted mb-1">{this.props.player.name} is playing</p>}
+
+                    {/* the category alone is shown until the user wagers */}
+                    {this.state.stage === 'wager' &&
+                        <div>
+                            <p class="text-small">
+                                You have ${this.props.score}. Wager between ${limits.min} and ${limits.max}.
+                            </p>
+                            <div class="input-group mb-3">
+                                <div class="input-group-prepend">
+                                    <span class="input-group-text">$</span>
+                                </div>
+                                <input
+                                    type="number"
+                                    name="wager"
+                                    value={this.state.wager}
+                                    class="form-control"
+                                    placeholder="Wager"
+                                    aria-label="Wager"
+                                    min={limits.min}
+                                    max={limits.max}
+                                    onChange={this.onChange}
+                                />
+                                <div class="input-group-append">
+                                    <button onClick={event => this.placeWager()} class="btn btn-outline-secondary" type="button">
+                                        Wager
+                                    </button>
+                                </div>
+                            </div>
+                            {this.state.warning &&
+                                <p class="text-small text-danger">{this.state.warning}</p>}
+                        </div>}
+
+                    {/* the clue is revealed with a countdown to respond */}
+                    {this.state.stage === 'clue' &&
+                        <div>
+                            <p>{clue.question}</p>
+                            <div class="progress mb-2">
+                                <div
+                                    class="progress-bar bg-warning"
+                                    role="progressbar"
+                                    style={{ width: `${100 * this.state.secondsLeft / ANSWER_SECONDS}%` }}
+                                >
+                                    {this.state.secondsLeft}s
+                                </div>
+                            </div>
+                            <div class="input-group mb-3">
+                                <input
+                                    type="text"
+                                    name="answer"
+                                    value={this.state.answer}
+                                    class="form-control"
+                                    placeholder={(this.props.settings || {}).requireQuestionForm ? 'What is...?' : 'Answer'}
+                                    aria-label="Answer"
+                                    onChange={this.onChange}
+                                />
+                                <div class="input-group-append">
+                                    <button onClick={event => this.submitAnswer()} class="btn btn-outline-secondary" type="button">
+                                        <i class="fas fa-check"></i>
+                                    </button>
+                                </div>
+                            </div>
+                            {this.state.warning &&
+                                <p class="text-small text-danger">{this.state.warning}</p>}
+                        </div>}
+
+                    {/* the response is judged once submitted or out of time */}
+                    {this.state.stage === 'result' && !this.props.revealAnswer &&
+                        <div>
+                            <p>{clue.question}</p>
+                            <div>Your Answer: {this.state.answer || '(no answer)'}</div>
+                            <div class="text-muted">
+                                You wagered ${this.state.placedWager}. The correct answer is shown once everyone has answered.
+                            </div>
+                        </div>}
+                    {this.state.stage === 'result' && this.props.revealAnswer &&
+                        <div>
+                            <p>{clue.question}</p>
+                            <div>Your Answer: {this.state.answer || '(no answer)'}</div>
+                            <div>Correct Answer: {clue.answer}</div>
+                            <div class={judgeAnswer(this.state.answer, clue.answer).correct ? 'text-success' : 'text-danger'}>
+                                {judgeAnswer(this.state.answer, clue.answer).correct ? 'Correct!' : 'Incorrect.'} You
+                                wagered ${this.state.placedWager}.
+                            </div>
+                        </div>}
+                </div>
+            </div>
+        )
+    }
+}
+
+export default FinalJeopardy;
@@ -0,0 +1,68 @@
+import React, { Component } from 'react';
+
+/**
+ * The HostConsole component is the host's side of a projector game: it opens
+ * the audience display in another window, shows the correct answer to the
+ * clue being played, and can take back the last ruling. Rulings themselves
+ * are made on the clue's card. In Final Jeopardy the host reveals the clue
+ * on the display once everyone has wagered.
+ *
+ * @version 1.0
+ */
+class HostConsole extends Component {
+    /**
+     * This method opens the audience display in a new window, to drag onto
+     * the projector.
+     */
+    openDisplay = () => {
+        window.open(`${window.location.pathname}?view=display`, 'capital-jeopardy-display');
+    }
+
+    /**
+     * This method displays the host console.
+     */
+    render() {
+        const clue = this.props.clue;
+        const finalClue = this.props.finalClue;
+
+        return (
+            <div class="card mb-3 text-left border-info">
+                <div class="card-body">
+                    <h5 class="card-title">Host console</h5>
+                    <button type="button" class="btn btn-sm btn-outline-info mr-2" onClick={this.openDisplay}>
+                        Open audience display
+                    </button>
+                    <button
+                        type="button"
+                        class="btn btn-sm btn-outline-secondary"
+                        disabled={!this.props.canUndo}
+                        onClick={this.props.onUndo}
+                    >
+                        Undo last ruling
+                    </button>
+                    {finalClue ?
+                        <div class="mt-2">
+                            <div class="text-small text-muted">Final Jeopardy: {finalClue.category.title}</div>
+                            <div>Correct answer: <strong>{finalClue.answer}</strong></div>
+                            <button
+                                type="button"
+                                class="btn btn-sm btn-outline-info mt-2"
+                                disabled={this.props.finalRevealed}
+                                onClick={this.props.onRevealFinal}
+                            >
+                                {this.props.finalRevealed ? 'Clue revealed' : 'Reveal clue on the display'}
+                            </button>
+                        </div> :
+                    clue ?
+                        <div class="mt-2">
+                            <div class="text-small text-muted">{clue.category ? clue.category.title : ''} for ${clue.value}</div>
+                            <div>Correct answer: <strong>{clue.answer}</strong></div>
+                        </div> :
+                        <p class="text-small text-muted mt-2 mb-0">Pick a clue to see its answer here.</p>}
+                </div>
+            </div>
+        )
+    }
+}
+
+export default HostConsole;
@@ -0,0 +1,224 @@
+import React, { Component } from 'react';
+import GameClient from '../network/gameClient';
+
+/**
+ * This function returns where the token for rejoining a room is kept, so a
+ * player whose phone drops out gets their seat and score back.
+ *
+ * @param code room code
+ */
+function tokenKey(code) {
+    return `room-token-${code.trim().toUpperCase()}`;
+}
+
+/**
+ * The PlayerConsole component is what players see on their own phones in a
+ * networked game: they join a room by code, then read each clue the host
+ * opens, buzz in, and answer if they buzzed first. Scores come live from the
+ * game server.
+ *
+ * @version 1.0
+ */
+class PlayerConsole extends Component {
+    /**
+     * This constructor method constructs the console, filling in the room
+     * code if the page was opened from the host's join link.
+     *
+     * @param props makes it a React component
+     */
+    constructor(props) {
+        super(props);
+        this.state = {
+            code: this.props.code || '',
+            name: '',
+            playerId: null,
+            room: null,
+            answer: '',
+            answeredClueId: null,
+            error: '',
+            connecting: false
+        }
+    }
+
+    /**
+     * This method leaves the room when the console goes away.
+     */
+    componentWillUnmount() {
+        if (this.client) {
+            this.client.disconnect();
+        }
+    }
+
+    /**
+     * This method updates the form fields based on user input.
+     * @param event user types into a field
+     */
+    onChange = event => {
+        this.setState({
+            ...this.state,
+            [event.target.name]: event.target.value
+        });
+    }
+
+    /**
+     * This method connects to the game server, if not already connected, and
+     * joins the room.
+     * @param event user submits the join form
+     */
+    join = async event => {
+        event.preventDefault();
+        this.setState({
+            ...this.state,
+            error: '',
+            connecting: true
+        });
+
+        try {
+            if (!this.client) {
+                const client = new GameClient();
+                client
+                    .on('joined', message => {
+                        localStorage.setItem(tokenKey(this.state.code), message.token);
+                        this.setState({ playerId: message.playerId });
+                    })
+                    .on('state', message => this.setState({ room: message.room }))
+                    .on('error', message => this.setState({ error: message.message }))
+                    .on('close', () => {
+                        this.client = null;
+                        this.setState({ playerId: null, room: null, error: this.state.error || 'Lost connection to the game.' });
+                    });
+                await client.connect();
+                this.client = client;
+            }
+            this.client.join(this.state.code, this.state.name, localStorage.getItem(tokenKey(this.state.code)));
+        } catch (err) {
+            this.setState({ error: err.message });
+        }
+        this.setState({ connecting: false });
+    }
+
+    /**
+     * This method buzzes in on the open clue.
+     */
+    buzz = () => {
+        this.client.buzz();
+    }
+
+    /**
+     * This method sends the response after winning the buzz.
+     * @param event user submits the answer form
+     */
+    submitAnswer = event => {
+        event.preventDefault();
+        this.client.answer(this.state.answer);
+        this.setState({
+            ...this.state,
+            answer: '',
+            answeredClueId: this.state.room.clue.id
+        });
+    }
+
+    /**
+     * This method displays the join form, or the clue and buzzer once joined.
+     */
+    render() {
+        const room = this.state.room;
+
+        if (!this.state.playerId || !room) {
+            return (
+                <form class="my-3 text-left" onSubmit={this.join}>
+                    <h4>Join a game</h4>
+                    <input
+                        type="text"
+                        name="code"
+                        value={this.state.code}
+                        class="form-control mb-2 text-uppercase"
+                        placeholder="Room code"
+                        aria-label="Room code"
+                        onChange={this.onChange}
+                    />
+                    <input
+                        type="text"
+                        name="name"
+                        value={this.state.name}
+                        class="form-control mb-2"
+                        placeholder="Your name"
+                        aria-label="Your name"
+                        onChange={this.onChange}
+                    />
+                    <button type="submit" class="btn btn-primary btn-block" disabled={this.state.connecting}>
+                        Join
+                    </button>
+                    {this.state.error &&
+                        <p class="text-small text-danger mt-2">{this.state.error}</p>}
+                    {this.props.onLeave &&
+                        <button type="button" class="btn btn-link btn-block" onClick={this.props.onLeave}>
+                            Back to playing alone
+                        </button>}
+                </form>
+            );
+        }
+
+        const clue = room.clue;
+        const buzzedFirst = !!room.buzzed && room.buzzed.id === this.state.playerId;
+        const canBuzz = !!clue && !room.buzzed && !room.lockedOut.includes(this.state.playerId);
+        // scores are sorted so the leader is on top
+        const players = [...room.players].sort((a, b) => b.score - a.score);
+
+        return (
+            <div class="my-3">
+                <h5>Room {room.code}</h5>
+
+                <div class="card mb-3">
+                    <div class="card-body">
+                        {clue ?
+                            <div>
+                                <h6 class="card-title">{clue.category} for ${clue.value}</h6>
+                                <p>{clue.question}</p>
+                            </div> :
+                            <p class="text-muted">Waiting for the host to pick a clue.</p>}
+
+                        {buzzedFirst && this.state.answeredClueId !== clue.id ?
+                            <form class="input-group" onSubmit={this.submitAnswer}>
+                                <input
+                                    type="text"
+                                    name="answer"
+                                    value={this.state.answer}
+                                    class="form-control"
+                                    placeholder="Answer"
+                                    aria-label="Answer"
+                                    autoFocus
+                                    onChange={this.onChange}
+                                />
+                                <div class="input-group-append">
+                                    <button type="submit" class="btn btn-outline-secondary">
+                                        <i class="fas fa-check"></i>
+                                    </button>
+                                </div>
+                            </form> :
+                            <button type="button" class="btn btn-warning btn-lg btn-block" disabled={!canBuzz} onClick={this.buzz}>
+                                {room.buzzed ? `${room.buzzed.name} buzzed in` : 'Buzz in'}
+                            </button>}
+
+                        {room.lastResult &&
+                            <p class={`text-small mt-2 mb-0 ${room.lastResult.correct ? 'text-success' : 'text-danger'}`}>
+                                {room.lastResult.name} said "{room.lastResult.answer}":
+                                {room.lastResult.correct ? ' right!' : ' wrong.'}
+                            </p>}
+                    </div>
+                </div>
+
+                <ul class="list-group text-left">
+                    {players.map(player =>
+                        <li key={player.id} class={`list-group-item d-flex justify-content-between ${player.id === this.state.playerId ? 'active' : ''}`}>
+                            <span>{player.name}{player.connected ? '' : ' (away)'}</span>
+                            <span>{player.score < 0 ? '-' : ''}${Math.abs(player.score)}</span>
+                        </li>
+                    )}
+                </ul>
+            </div>
+        );
+    }
+}
+
+export default PlayerConsole;
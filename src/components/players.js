@@ -0,0 +1,115 @@
+import React, { Component } from 'react';
+
+/**
+ * Configures how many players can share one screen.
+ */
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+/**
+ * The Players component lets 2 to 4 players sharing one screen sign in by
+ * name, shows each player's score and number of correct answers, and lets
+ * them pick who is answering the next clue.
+ *
+ * @version 1.0
+ */
+class Players extends Component {
+    /**
+     * This constructor method constructs the players panel with an empty
+     * name field.
+     *
+     * @param props makes it a React component
+     */
+    constructor(props) {
+        super(props);
+        this.state = {
+            name: ''
+        }
+    }
+
+    /**
+     * This method updates the name field based on user input.
+     * @param event user types into the name field
+     */
+    onChange = event => {
+        this.setState({
+            ...this.state,
+            name: event.target.value
+        });
+    }
+
+    /**
+     * This method adds a player with the typed name and clears the field.
+     * @param event user submits the name form
+     */
+    addPlayer = event => {
+        event.preventDefault();
+        const name = this.state.name.trim();
+        if (!name || this.props.players.length >= MAX_PLAYERS) {
+            return;
+        }
+        this.props.onAddPlayer(name);
+        this.setState({
+            ...this.state,
+            name: ''
+        });
+    }
+
+    /**
+     * This method displays the players.
+     */
+    render() {
+        const players = this.props.players;
+
+        // each player is a button that makes them the one answering
+        const listItems = players.map((player, index) =>
+            <div key={player.id} class="btn-group mr-2 mb-2" role="group">
+                <button
+                    type="button"
+                    class={`btn btn-sm ${player.id === this.props.currentPlayerId ? 'btn-primary' : 'btn-outline-primary'}`}
+                    onClick={e => this.props.onSelectPlayer(player.id)}
+                >
+                    {player.name}
+                    <span class="ml-1 badge badge-light">{this.props.scores[index].score}</span>
+                    <span class="ml-1 badge badge-light">{this.props.scores[index].correct} right</span>
+                </button>
+                <button
+                    type="button"
+                    class="btn btn-sm btn-outline-secondary"
+                    aria-label={`Remove ${player.name}`}
+                    onClick={e => this.props.onRemovePlayer(player.id)}
+                >
+                    &times;
+                </button>
+            </div>
+        );
+
+        return (
+            <div class="mb-2 text-left">
+                {listItems}
+                {this.props.solo ?
+                    <p class="text-small text-muted">The daily challenge is played alone.</p> :
+                players.length < MAX_PLAYERS &&
+                    <form class="form-inline mb-2" onSubmit={this.addPlayer}>
+                        <input
+                            type="text"
+                            class="form-control form-control-sm mr-2"
+                            placeholder="Player name"
+                            aria-label="Player name"
+                            value={this.state.name}
+                            onChange={this.onChange}
+                        />
+                        <button type="submit" class="btn btn-sm btn-outline-secondary">
+                            Add player
+                        </button>
+                    </form>}
+                {players.length === 1 &&
+                    <p class="text-small text-muted">Add at least {MIN_PLAYERS} players to play together.</p>}
+                {players.length >= MIN_PLAYERS && !this.props.currentPlayerId &&
+                    <p class="text-small text-danger">Pick who is answering before playing a clue.</p>}
+            </div>
+        )
+    }
+}
+
+export default Players;
@@ -0,0 +1,109 @@
+import React, { Component } from 'react';
+import Category from './category';
+import { judgeAnswer } from '../judging/judge';
+
+/**
+ * The Review component quizzes the user on missed and favorited clues that
+ * are due for review, one card at a time. Each card is a Category holding
+ * just that clue, so it flips over to the same question and answer field as
+ * on the board.
+ *
+ * @version 1.0
+ */
+class Review extends Component {
+    /**
+     * This constructor method constructs the review with no answer judged yet.
+     *
+     * @param props makes it a React component
+     */
+    constructor(props) {
+        super(props);
+        this.state = {
+            lastResult: null
+        }
+    }
+
+    /**
+     * This method judges the answer to the card being reviewed and passes the
+     * result back to the parent component to reschedule the card.
+     * @param clue clue that was answered
+     * @param answer the user's answer
+     */
+    onAnswer = (clue, answer) => {
+        const card = this.props.cards.find(due => due.clue.id === clue.id);
+        if (!card) {
+            return;
+        }
+        const correct = judgeAnswer(answer, clue.answer).correct;
+        this.setState({
+            ...this.state,
+            lastResult: { card: card, answer: answer, correct: correct }
+        });
+        this.props.onReview(card, correct);
+    }
+
+    /**
+     * This method overrules the judge on the last card, rescheduling it as
+     * answered right.
+     */
+    overrideLast = () => {
+        const lastResult = this.state.lastResult;
+        this.setState({
+            ...this.state,
+            lastResult: { ...lastResult, correct: true }
+        });
+        this.props.onReview(lastResult.card, true);
+    }
+
+    /**
+     * This method displays the result of the last card and the next card due.
+     */
+    render() {
+        const lastResult = this.state.lastResult;
+        const card = this.props.cards[0];
+
+        return (
+            <div class="my-3">
+                <h4>
+                    Review
+                    <span class="ml-2 badge badge-secondary">{this.props.cards.length} due</span>
+                    <button type="button" class="btn btn-sm btn-outline-secondary ml-2" onClick={this.props.onExit}>
+                        Done
+                    </button>
+                </h4>
+
+                {lastResult &&
+                    <div class={`alert ${lastResult.correct ? 'alert-success' : 'alert-danger'} text-left`} role="alert">
+                        <div>{lastResult.correct ? 'Right!' : 'Not quite.'} {lastResult.card.clue.question}</div>
+                        <div>Your Answer: {lastResult.answer || '(no answer)'}</div>
+                        <div>Correct Answer: {lastResult.card.clue.answer}</div>
+                        {!lastResult.correct &&
+                            <button type="button" class="btn btn-sm btn-outline-success mt-2" onClick={this.overrideLast}>
+                                I was right
+                            </button>}
+                    </div>}
+
+                {card ?
+                    <div class="row justify-content-center">
+                        <Category
+                            key={card.clue.id}
+                            category={{
+                                id: `review-${card.clue.id}`,
+                                title: (card.clue.category || {}).title || 'Review',
+                                clues: [card.clue]
+                            }}
+                            answered={[]}
+                            onAnswer={this.onAnswer}
+                            onOverride={() => {}}
+                            toggleFavorite={this.props.toggleFavorite}
+                            favorites={this.props.favorites}
+                            settings={{ ...this.props.settings, hostConsole: false }}
+                        />
+                    </div> :
+                    <p class="text-muted">Nothing is due for review. Come back later!</p>}
+            </div>
+        )
+    }
+}
+
+export default Review;
@@ -0,0 +1,55 @@
+import React, { Component } from 'react';
+
+/**
+ * The RoomHost component is shown on the host's screen in a networked game:
+ * the room code players join with, their live scores, and who buzzed in on
+ * the clue that is open on the board.
+ *
+ * @version 1.0
+ */
+class RoomHost extends Component {
+    /**
+     * This method displays the room.
+     */
+    render() {
+        const room = this.props.room;
+        const joinLink = `${window.location.origin}${window.location.pathname}?room=${room.code}`;
+        // scores are sorted so the leader comes first
+        const players = [...room.players].sort((a, b) => b.score - a.score);
+
+        return (
+            <div class="card mb-3 text-left">
+                <div class="card-body">
+                    <button type="button" class="close" aria-label="Close room" onClick={this.props.onClose}>
+                        <span aria-hidden="true">&times;</span>
+                    </button>
+                    <h5 class="card-title">Room {room.code}</h5>
+                    <p class="text-small text-muted">
+                        Players join at {joinLink} on the same network. Pick a clue on the board to open it for buzzing.
+                    </p>
+
+                    <div class="mb-2">
+                        {players.length === 0 && <span class="text-muted">Nobody has joined yet.</span>}
+                        {players.map(player =>
+                            <span key={player.id} class={`badge mr-2 ${player.connected ? 'badge-primary' : 'badge-secondary'}`}>
+                                {player.name} {player.score < 0 ? '-' : ''}${Math.abs(player.score)}
+                            </span>
+                        )}
+                    </div>
+
+                    {room.clue &&
+                        <p class="mb-0">
+                            {room.buzzed ? `${room.buzzed.name} buzzed in and is answering...` : 'Waiting for a buzz...'}
+                        </p>}
+                    {room.lastResult &&
+                        <p class={`text-small mb-0 ${room.lastResult.correct ? 'text-success' : 'text-danger'}`}>
+                            {room.lastResult.name} said "{room.lastResult.answer}":
+                            {room.lastResult.correct ? ' right!' : ' wrong.'}
+                        </p>}
+                </div>
+            </div>
+        )
+    }
+}
+
+export default RoomHost;
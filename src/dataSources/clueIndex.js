@@ -0,0 +1,87 @@
+import CategorySearch from '../search/categorySearch';
+import { normalizeClue } from '../clues/normalize';
+
+/**
+ * The clue index holds a whole clue archive in memory and answers category
+ * searches and filtered clue lookups without touching the network.
+ *
+ * @version 1.0
+ */
+class ClueIndex {
+  /**
+   * This constructor method cleans up the clue text, groups the clues by
+   * category and indexes the category titles for searching.
+   *
+   * @param clues list of jService-style clues
+   */
+  constructor(clues) {
+    this.clues = clues.map(normalizeClue);
+    this.categories = new Map();
+
+    this.clues.forEach(clue => {
+      const id = String(clue.category_id || (clue.category || {}).id);
+      if (!this.categories.has(id)) {
+        const title = (clue.category || {}).title || '';
+        this.categories.set(id, { id: id, title: title, clues: [] });
+      }
+      this.categories.get(id).clues.push(clue);
+    });
+
+    this.search = new CategorySearch([...this.categories.values()]);
+  }
+
+  /**
+   * This method returns whether a clue passes the user's date span and value
+   * filters. Missing dates default to the whole history of the show.
+   *
+   * @param clue the specified clue
+   * @param filters date span and value filters chosen by the user
+   */
+  static matchesFilters(clue, filters = {}) {
+    const minDate = filters.min_date ? new Date(filters.min_date) : new Date(0);
+    const maxDate = filters.max_date ? new Date(filters.max_date) : new Date();
+    const airdate = new Date(clue.airdate);
+    return !(airdate < minDate) && !(airdate > maxDate) &&
+      (!filters.value || filters.value === 'any' || String(clue.value) === String(filters.value));
+  }
+
+  /**
+   * This method ranks the categories matching the search text, keeping only
+   * categories that still have clues after filtering.
+   *
+   * @param query search text entered by the user
+   * @param filters date span and value filters chosen by the user
+   * @return list of matched categories with id, title and clues_count, best first
+   */
+  searchCategories(query, filters) {
+    return this.search.search(query, category =>
+      category.clues.filter(clue => ClueIndex.matchesFilters(clue, filters)).length
+    ).map(({ clues, ...category }) => category);
+  }
+
+  /**
+   * This method returns the clues of a category that pass the given filters.
+   *
+   * @param categoryId category that clues are grouped by
+   * @param filters date span and value filters chosen by the user
+   */
+  getClues(categoryId, filters) {
+    const category = this.categories.get(String(categoryId));
+    return category ? category.clues.filter(clue => ClueIndex.matchesFilters(clue, filters)) : [];
+  }
+
+  /**
+   * This method picks random clues from any category.
+   *
+   * @param count number of clues to pick
+   */
+  getRandomClues(count = 1) {
+    const picked = [];
+    for (let i = 0; i < count && this.clues.length > 0; i++) {
+      picked.push(this.clues[Math.floor(Math.random() * this.clues.length)]);
+    }
+    return picked;
+  }
+}
+
+export default ClueIndex;
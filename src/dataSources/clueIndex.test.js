@@ -0,0 +1,42 @@
+import ClueIndex from './clueIndex';
+
+const rivers = { id: 1, title: 'RIVERS' };
+const opera = { id: 2, title: 'OPERA' };
+const clue = (id, category, value, airdate) => ({
+  id: id,
+  question: `Clue ${id}`,
+  answer: `Answer ${id}`,
+  value: value,
+  airdate: airdate,
+  category_id: category.id,
+  category: category
+});
+
+const index = new ClueIndex([
+  clue(1, rivers, 200, '1990-05-01T00:00:00.000Z'),
+  clue(2, rivers, 400, '2004-03-15T00:00:00.000Z'),
+  clue(3, opera, 200, '2010-11-20T00:00:00.000Z')
+]);
+
+it('keeps clues inside the date span', () => {
+  const filters = { min_date: '2000-01-01', max_date: '2005-12-31' };
+  expect(index.getClues(1, filters).map(found => found.id)).toEqual([2]);
+  expect(index.getClues(1, { min_date: '2000-01-01' }).map(found => found.id)).toEqual([2]);
+  expect(index.getClues(1, { max_date: '2000-01-01' }).map(found => found.id)).toEqual([1]);
+});
+
+it('keeps clues of the chosen value', () => {
+  expect(index.getClues(1, { value: '200' }).map(found => found.id)).toEqual([1]);
+  expect(index.getClues(1, { value: 'any' }).map(found => found.id)).toEqual([1, 2]);
+  expect(index.getClues(1, {}).map(found => found.id)).toEqual([1, 2]);
+});
+
+it('keeps clues with no air date when no dates are chosen', () => {
+  expect(ClueIndex.matchesFilters(clue(4, rivers, 200, null))).toBe(true);
+});
+
+it('leaves out categories with no clues left after filtering', () => {
+  expect(index.searchCategories('rivers', {}).map(category => category.title)).toEqual(['RIVERS']);
+  expect(index.searchCategories('rivers', { value: '800' })).toEqual([]);
+  expect(index.getClues(9, {})).toEqual([]);
+});
@@ -0,0 +1,129 @@
+/**
+ * This function turns a clue value such as "$1,200" or 400 into a number,
+ * or null when the clue has no value.
+ *
+ * @param value clue value as found in the archive
+ */
+function parseValue(value) {
+  const number = parseInt(String(value || '').replace(/[^\d]/g, ''), 10);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * This function turns an air date such as "1984-09-10" into the ISO format
+ * jService uses.
+ *
+ * @param date air date as found in the archive
+ */
+function parseAirdate(date) {
+  const parsed = new Date(date);
+  return isNaN(parsed) ? null : parsed.toISOString();
+}
+
+/**
+ * This function converts archive records into jService-style clues, giving
+ * every distinct category title its own id.
+ *
+ * @param records list of { category, question, answer, value, airdate } where
+ * question is the clue text and answer is the correct response
+ * @return list of clues shaped like the ones jService returns
+ */
+function toClues(records) {
+  const categoryIds = new Map();
+  return records.map((record, i) => {
+    const title = (record.category || '').trim();
+    const key = title.toLowerCase();
+    if (!categoryIds.has(key)) {
+      categoryIds.set(key, categoryIds.size + 1);
+    }
+    const categoryId = categoryIds.get(key);
+    return {
+      id: i + 1,
+      question: record.question || '',
+      answer: record.answer || '',
+      value: parseValue(record.value),
+      airdate: parseAirdate(record.airdate),
+      category_id: categoryId,
+      category: { id: categoryId, title: title }
+    };
+  });
+}
+
+/**
+ * Configures the columns a TSV dump can't do without.
+ */
+const REQUIRED_COLUMNS = ['category', 'answer', 'question'];
+
+/**
+ * This function parses a J-Archive style TSV dump with a header row of
+ * round, clue_value, daily_double_value, category, comments, answer, question,
+ * air_date and notes. J-Archive calls the clue text the "answer" and the
+ * correct response the "question", so the two are swapped here.
+ *
+ * @param text contents of the TSV file
+ * @return list of jService-style clues
+ * @throws Error if the header lacks the category, answer or question column
+ */
+export function parseTsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+  const header = lines[0].split('\t').map(column => column.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(name => !header.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Clue archive TSV has no ${missing.join(', ')} column`);
+  }
+  const column = (cells, name) => cells[header.indexOf(name)];
+  return toClues(lines.slice(1).map(line => {
+    const cells = line.split('\t');
+    return {
+      category: column(cells, 'category'),
+      question: column(cells, 'answer'),
+      answer: column(cells, 'question'),
+      // Daily Doubles have a clue value of 0 and the wager as their value
+      value: parseValue(column(cells, 'clue_value')) || column(cells, 'daily_double_value'),
+      airdate: column(cells, 'air_date')
+    };
+  }));
+}
+
+/**
+ * This function parses a JSON dump, either an array of jService-style clues
+ * or the J-Archive export where category is a plain title and value is a
+ * dollar string like "$200".
+ *
+ * @param text contents of the JSON file
+ * @return list of jService-style clues
+ */
+export function parseJson(text) {
+  const items = JSON.parse(text);
+  if (!Array.isArray(items)) {
+    throw new Error('Clue archive JSON must be an array of clues');
+  }
+  if (items.length === 0 || typeof items[0].category !== 'string') {
+    return items;
+  }
+  return toClues(items.map(item => ({
+    category: item.category,
+    question: item.question,
+    answer: item.answer,
+    value: item.value,
+    airdate: item.air_date
+  })));
+}
+
+/**
+ * This function parses a clue archive in whichever format its name or
+ * contents suggest.
+ *
+ * @param text contents of the archive file
+ * @param name file name or URL of the archive, used to detect its format
+ * @return list of jService-style clues
+ */
+export function parseCorpus(text, name = '') {
+  if (/\.tsv$/i.test(name) || (!/\.json$/i.test(name) && !/^\s*[[{]/.test(text))) {
+    return parseTsv(text);
+  }
+  return parseJson(text);
+}
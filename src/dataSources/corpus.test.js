@@ -0,0 +1,54 @@
+import { parseTsv, parseJson, parseCorpus } from './corpus';
+
+const tsv = [
+  'round\tclue_value\tdaily_double_value\tcategory\tcomments\tanswer\tquestion\tair_date\tnotes',
+  '1\t200\t0\tRIVERS\t\tIt flows through Cairo\tthe Nile\t2004-03-15\t-',
+  '1\t0\t1,500\tRIVERS\t\tIt flows through Vienna\tthe Danube\t2004-03-15\t-',
+  '2\t800\t0\tOPERA\t\tVerdi wrote it for Cairo\tAida\t2005-01-03\t-'
+].join('\n');
+
+it('swaps the TSV answer and question columns into clue and response', () => {
+  const clues = parseTsv(tsv);
+  expect(clues).toHaveLength(3);
+  expect(clues[0]).toEqual({
+    id: 1,
+    question: 'It flows through Cairo',
+    answer: 'the Nile',
+    value: 200,
+    airdate: '2004-03-15T00:00:00.000Z',
+    category_id: 1,
+    category: { id: 1, title: 'RIVERS' }
+  });
+});
+
+it('gives each category title one id and falls back to the Daily Double value', () => {
+  const clues = parseTsv(tsv);
+  expect(clues.map(clue => clue.category_id)).toEqual([1, 1, 2]);
+  expect(clues[1].value).toBe(1500);
+});
+
+it('rejects a TSV without the clue columns', () => {
+  expect(() => parseTsv('name\tscore\nAnn\t200')).toThrow('no category, answer, question column');
+  expect(() => parseTsv('category\tanswer\nRIVERS\tthe Nile')).toThrow('no question column');
+  expect(parseTsv('')).toEqual([]);
+});
+
+it('reads the J-Archive JSON export', () => {
+  const clues = parseJson(JSON.stringify([
+    { category: 'RIVERS', question: 'It flows through Cairo', answer: 'the Nile', value: '$1,200', air_date: '2004-03-15' }
+  ]));
+  expect(clues[0]).toMatchObject({ question: 'It flows through Cairo', answer: 'the Nile', value: 1200, category: { id: 1, title: 'RIVERS' } });
+});
+
+it('passes jService JSON through as it is', () => {
+  const clue = { id: 7, question: 'It flows through Cairo', answer: 'the Nile', value: 200, category_id: 3, category: { id: 3, title: 'rivers' } };
+  expect(parseJson(JSON.stringify([clue]))).toEqual([clue]);
+  expect(() => parseJson('{"clues": []}')).toThrow('must be an array');
+});
+
+it('tells the formats apart by name or contents', () => {
+  expect(parseCorpus(tsv, 'clues.tsv')).toHaveLength(3);
+  expect(parseCorpus(tsv)).toHaveLength(3);
+  expect(parseCorpus('[]', 'clues.json')).toEqual([]);
+  expect(parseCorpus('[]')).toEqual([]);
+});
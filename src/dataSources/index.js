@@ -0,0 +1,51 @@
+import JServiceDataSource from './jservice';
+import LocalDataSource from './local';
+import ResponseCache from '../cache/responseCache';
+
+/**
+ * Configures which data source classes can be selected by name.
+ */
+export const DATA_SOURCES = {
+  jservice: JServiceDataSource,
+  local: LocalDataSource
+};
+
+/**
+ * Configures which data source is used when none is chosen, or when the one
+ * chosen doesn't exist.
+ */
+export const DEFAULT_SOURCE = 'jservice';
+
+/**
+ * This function reads the data source configuration chosen at startup.
+ * The build-time environment variables REACT_APP_DATA_SOURCE and
+ * REACT_APP_DATA_URL set the defaults, and the `source` and `dataUrl` query
+ * parameters of the page override them, e.g. `?source=local&dataUrl=/fixtures.json`.
+ *
+ * @param search query string of the page
+ * @return the data source name and its base URL
+ */
+export function getDataSourceConfig(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return {
+    source: params.get('source') || process.env.REACT_APP_DATA_SOURCE || DEFAULT_SOURCE,
+    url: params.get('dataUrl') || process.env.REACT_APP_DATA_URL || undefined
+  };
+}
+
+/**
+ * This function constructs the data source the app fetches clues from.
+ * Data sources that go over the network get a persistent response cache,
+ * exposed as their `cache` property.
+ *
+ * @param config data source name and base URL, read from the page by default
+ * @return a data source with searchCategories, getClues and getRandomClues
+ */
+export function createDataSource(config = getDataSourceConfig()) {
+  const DataSource = DATA_SOURCES[config.source];
+  if (!DataSource) {
+    throw new Error(`Unknown data source "${config.source}", expected one of ${Object.keys(DATA_SOURCES).join(', ')}`);
+  }
+  // only jService goes over the network, so only it needs caching
+  return new DataSource(config.url, DataSource === JServiceDataSource ? { cache: new ResponseCache() } : {});
+}
@@ -0,0 +1,162 @@
+import CategorySearch from '../search/categorySearch';
+import { fetchJson } from '../utils/http';
+import { isAbortError } from '../utils/concurrency';
+import { normalizeClue, normalizeText } from '../clues/normalize';
+
+/**
+ * Configures the default location of the jService API.
+ */
+export const DEFAULT_JSERVICE_URL = 'http://jservice.io';
+
+/**
+ * Configures how the category catalogue is downloaded: jService returns at
+ * most 100 categories per page, and a few pages are fetched at once.
+ */
+const CATALOGUE_PAGE_SIZE = 100;
+const CATALOGUE_PARALLEL_PAGES = 5;
+
+/**
+ * Configures the most categories downloaded for searching. jService has
+ * a little over 18,000.
+ */
+const MAX_CATALOGUE_SIZE = 20000;
+
+/**
+ * The jService data source fetches categories and clues from a jService
+ * server, either the public one or a mirror running on your own network.
+ *
+ * @version 1.0
+ */
+class JServiceDataSource {
+  /**
+   * This constructor method points the data source at a jService server.
+   *
+   * @param baseUrl root URL of the jService server, without a trailing slash
+   * @param options optional ResponseCache `cache` to remember responses in
+   */
+  constructor(baseUrl = DEFAULT_JSERVICE_URL, { cache } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.cache = cache;
+    this.search = null;
+  }
+
+  /**
+   * This method fetches a JSON response, retrying transient failures,
+   * answering from the cache when it holds a fresh copy and falling back to
+   * an expired copy when the network fails, so cached searches keep working
+   * offline. A cache that fails is treated as empty.
+   *
+   * @param url URL to fetch
+   * @param signal AbortSignal that cancels the request
+   * @return parsed JSON response
+   */
+  fetchJson = async (url, signal) => {
+    const cached = this.cache ? await this.cache.get(url).catch(() => undefined) : undefined;
+    if (cached && !cached.expired) {
+      return cached.value;
+    }
+
+    try {
+      const value = await fetchJson(url, { signal });
+      if (this.cache) {
+        await this.cache.set(url, value).catch(() => {});
+      }
+      return value;
+    } catch (err) {
+      if (cached && !isAbortError(err)) {
+        return cached.value;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * This method downloads jService's category catalogue page by page the
+   * first time it is needed and indexes it for searching.
+   *
+   * @return category search over the whole catalogue
+   */
+  loadSearch = async () => {
+    if (!this.search) {
+      this.search = this.fetchCatalogue()
+        .then(categories => new CategorySearch(categories.map(category => ({
+          ...category,
+          title: normalizeText(category.title)
+        }))))
+        .catch(err => {
+          // forget the failed load so the next search can try again
+          this.search = null;
+          throw err;
+        });
+    }
+    return this.search;
+  }
+
+  /**
+   * This method fetches every page of the category catalogue until jService
+   * runs out of categories.
+   *
+   * @return list of categories with id, title and clues_count
+   */
+  fetchCatalogue = async () => {
+    const categories = [];
+    for (let offset = 0; offset < MAX_CATALOGUE_SIZE; offset += CATALOGUE_PAGE_SIZE * CATALOGUE_PARALLEL_PAGES) {
+      const pages = [];
+      for (let page = 0; page < CATALOGUE_PARALLEL_PAGES; page++) {
+        const pageOffset = offset + page * CATALOGUE_PAGE_SIZE;
+        pages.push(this.fetchJson(`${this.baseUrl}/api/categories?count=${CATALOGUE_PAGE_SIZE}&offset=${pageOffset}`));
+      }
+      const results = await Promise.all(pages);
+      results.forEach(page => categories.push(...page));
+      if (results.some(page => page.length < CATALOGUE_PAGE_SIZE)) {
+        break;
+      }
+    }
+    return categories;
+  }
+
+  /**
+   * This method ranks jService's categories against the search text.
+   * jService has no search API, so the catalogue is searched in the browser.
+   *
+   * @param query search text entered by the user
+   * @return list of matched categories with id, title and clues_count, best first
+   */
+  searchCategories = async (query) => {
+    return (await this.loadSearch()).search(query);
+  }
+
+  /**
+   * This method fetches the clues of a category that pass the given filters.
+   *
+   * @param categoryId category that clues are grouped by
+   * @param filters date span and value filters chosen by the user
+   * @param signal AbortSignal that cancels the request
+   * @return list of clues
+   */
+  getClues = async (categoryId, filters = {}, signal) => {
+    const categoryQs = `category=${categoryId}`;
+    // default to today's date rather than the current time so the URL, and
+    // with it the cached response, stays the same all day
+    const maxDateQs = `max_date=${filters.max_date || new Date().toISOString().substr(0, 10)}`;
+    const minDateQs = `min_date=${filters.min_date || new Date(0).toISOString()}`;
+    const valueQs = !filters.value || filters.value === 'any' ? '' : `value=${filters.value}`;
+
+    const constructedUrl = `${this.baseUrl}/api/clues?${[maxDateQs, minDateQs, categoryQs, valueQs].join('&')}`;
+
+    return (await this.fetchJson(constructedUrl, signal)).map(normalizeClue);
+  }
+
+  /**
+   * This method fetches random clues from any category.
+   *
+   * @param count number of clues to fetch
+   * @return list of clues
+   */
+  getRandomClues = async (count = 1) => {
+    // random clues must differ every time, so they skip the cache
+    return (await fetchJson(`${this.baseUrl}/api/random?count=${count}`)).map(normalizeClue);
+  }
+}
+
+export default JServiceDataSource;
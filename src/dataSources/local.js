@@ -0,0 +1,104 @@
+import ClueIndex from './clueIndex';
+import { parseCorpus } from './corpus';
+import { FetchError } from '../utils/http';
+
+/**
+ * Configures the default location of the bundled clue archive, relative to
+ * the public folder.
+ */
+export const DEFAULT_LOCAL_URL = '/clues.tsv';
+
+/**
+ * The local data source serves categories and clues from a clue archive held
+ * in the browser, so the app works with no network at all. The archive can be
+ * a J-Archive style TSV dump, a J-Archive JSON export or a JSON array of
+ * jService-style clues, either bundled with the app or chosen by the user.
+ *
+ * @version 1.0
+ */
+class LocalDataSource {
+  /**
+   * This constructor method points the data source at a clue archive.
+   *
+   * @param url location of the archive file
+   */
+  constructor(url = DEFAULT_LOCAL_URL) {
+    this.url = url;
+    this.index = null;
+  }
+
+  /**
+   * This method loads and indexes the archive the first time it is needed
+   * and reuses the index afterwards.
+   *
+   * @return the clue index of the archive
+   */
+  loadIndex = async () => {
+    if (!this.index) {
+      this.index = fetch(this.url)
+        .then(res => {
+          if (!res.ok) {
+            throw new FetchError(`Could not load the clue archive ${this.url} (${res.status})`, this.url, res.status, false);
+          }
+          return res.text();
+        })
+        .then(text => new ClueIndex(parseCorpus(text, this.url)))
+        .catch(err => {
+          // forget the failed load so the next search can try again
+          this.index = null;
+          throw err;
+        });
+    }
+    return this.index;
+  }
+
+  /**
+   * This method replaces the archive with one the user loaded into the
+   * browser, e.g. from a file picker.
+   *
+   * @param text contents of the archive file
+   * @param name file name of the archive, used to detect its format
+   * @return number of clues loaded
+   */
+  loadCorpus = (text, name) => {
+    const index = new ClueIndex(parseCorpus(text, name));
+    this.url = name;
+    this.index = Promise.resolve(index);
+    return index.clues.length;
+  }
+
+  /**
+   * This method finds categories whose titles match the search text and
+   * still have clues after filtering.
+   *
+   * @param query search text entered by the user
+   * @param filters date span and value filters chosen by the user
+   * @return list of matched categories with id, title and clues_count, best first
+   */
+  searchCategories = async (query, filters) => {
+    return (await this.loadIndex()).searchCategories(query, filters);
+  }
+
+  /**
+   * This method returns the clues of a category that pass the given filters.
+   *
+   * @param categoryId category that clues are grouped by
+   * @param filters date span and value filters chosen by the user
+   * @return list of clues
+   */
+  getClues = async (categoryId, filters) => {
+    return (await this.loadIndex()).getClues(categoryId, filters);
+  }
+
+  /**
+   * This method picks random clues from any category.
+   *
+   * @param count number of clues to pick
+   * @return list of clues
+   */
+  getRandomClues = async (count = 1) => {
+    return (await this.loadIndex()).getRandomClues(count);
+  }
+}
+
+export default LocalDataSource;
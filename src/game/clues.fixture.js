@@ -0,0 +1,28 @@
+/**
+ * Configures the categories of the test archive.
+ */
+const TITLES = ['RIVERS', 'CAPITALS', 'SCIENCE', 'POETS', 'OPERA', 'SPORTS', 'BIRDS', 'GEMS'];
+
+/**
+ * This function makes a test archive of jService-style clues: one category
+ * per title with category ids from 1, and a clue for every value, with ids
+ * 10 apart between categories.
+ *
+ * @param values values of each category's clues, in order
+ * @return list of clues
+ */
+export function makeClues(values = [200, 400, 600, 800, 1000]) {
+  const clues = [];
+  TITLES.forEach((title, c) => {
+    values.forEach((value, i) => clues.push({
+      id: c * 10 + i,
+      question: `${title} clue ${i}`,
+      answer: `${title} answer ${i}`,
+      value: value,
+      airdate: '2001-01-01T00:00:00.000Z',
+      category_id: c + 1,
+      category: { id: c + 1, title: title }
+    }));
+  });
+  return clues;
+}
@@ -0,0 +1,51 @@
+import { judgeEntry } from '../judging/judge';
+import { isPassed } from './scoring';
+
+/**
+ * This function returns what an answer is worth towards the Coryat score,
+ * which measures knowledge rather than wagering: right answers add the
+ * clue's value and wrong ones subtract it, Daily Doubles count at face value
+ * if right and nothing if wrong, and Final Jeopardy doesn't count.
+ *
+ * @param entry an answered entry
+ * @return the change in Coryat score
+ */
+export function coryatValue(entry) {
+  if (entry.round === 'final' || isPassed(entry)) {
+    return 0;
+  }
+  const value = Number(entry.clue.value) || 0;
+  if (judgeEntry(entry).correct) {
+    return value;
+  }
+  return entry.wager !== undefined ? 0 : -value;
+}
+
+/**
+ * This function returns the Coryat score of a list of answers.
+ *
+ * @param answered answered entries
+ * @return the Coryat score
+ */
+export function coryatScore(answered) {
+  return answered.reduce((sum, entry) => sum + coryatValue(entry), 0);
+}
+
+/**
+ * This function returns the average Coryat score per game of the games the
+ * answers were given in. Answers given outside a game are left out.
+ *
+ * @param answered answered entries
+ * @return the average, or null if no games were played
+ */
+export function averageCoryat(answered) {
+  const games = new Map();
+  answered.filter(entry => entry.gameId).forEach(entry => {
+    games.set(entry.gameId, (games.get(entry.gameId) || 0) + coryatValue(entry));
+  });
+  if (games.size === 0) {
+    return null;
+  }
+  const total = [...games.values()].reduce((sum, score) => sum + score, 0);
+  return Math.round(total / games.size);
+}
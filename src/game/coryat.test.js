@@ -0,0 +1,30 @@
+import { coryatValue, coryatScore, averageCoryat } from './coryat';
+
+const clue = { id: 1, value: 800, answer: 'Nile' };
+
+it('counts right answers and subtracts wrong ones', () => {
+  expect(coryatValue({ clue, answer: 'Nile' })).toBe(800);
+  expect(coryatValue({ clue, answer: 'Amazon' })).toBe(-800);
+  expect(coryatValue({ clue, answer: '' })).toBe(0);
+});
+
+it('counts Daily Doubles at face value without wagering', () => {
+  expect(coryatValue({ clue, answer: 'Nile', wager: 3000 })).toBe(800);
+  expect(coryatValue({ clue, answer: 'Amazon', wager: 3000 })).toBe(0);
+});
+
+it('leaves out Final Jeopardy', () => {
+  expect(coryatValue({ clue, answer: 'Nile', wager: 5000, round: 'final' })).toBe(0);
+});
+
+it('averages Coryat scores per game', () => {
+  const answered = [
+    { clue, answer: 'Nile', gameId: 'a' },
+    { clue, answer: 'Nile', gameId: 'a' },
+    { clue, answer: 'Amazon', gameId: 'b' },
+    { clue, answer: 'Nile', gameId: null }
+  ];
+  expect(coryatScore(answered)).toBe(1600);
+  expect(averageCoryat(answered)).toBe(400);
+  expect(averageCoryat([{ clue, answer: 'Nile', gameId: null }])).toBe(null);
+});
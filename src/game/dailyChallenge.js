@@ -0,0 +1,148 @@
+import { pickColumn, BOARD_CATEGORIES, CLUES_PER_CATEGORY } from './randomBoard';
+import { ROUNDS, buildRound, placeDailyDoubles } from './rounds';
+import { calculateScore, isPassed } from './scoring';
+import { judgeEntry } from '../judging/judge';
+import { MAX_CONCURRENT_REQUESTS } from '../utils/concurrency';
+
+/**
+ * This function returns the date of a day as YYYY-MM-DD in local time, which
+ * names its daily challenge.
+ *
+ * @param date any time on the day, now by default
+ * @return the date
+ */
+export function dailyKey(date = new Date()) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * This function makes a seeded pseudo-random number generator, so the same
+ * seed always gives the same numbers on every device. The seed text is
+ * hashed with FNV-1a and fed to mulberry32.
+ *
+ * @param seed text to seed the generator with, e.g. the date
+ * @return a function returning numbers from 0 up to 1, like Math.random
+ */
+export function seededRandom(seed) {
+  let state = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    state ^= seed.charCodeAt(i);
+    state = Math.imul(state, 0x01000193);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * This function shuffles a list with the given generator, leaving the list
+ * itself alone.
+ *
+ * @param items list to shuffle
+ * @param random returns a number from 0 up to 1
+ * @return the shuffled copy
+ */
+export function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * This function builds the daily challenge board for a date: a Jeopardy!
+ * round whose categories, clues and Daily Double are chosen by a generator
+ * seeded with the date, so everybody using the same data source gets the
+ * same board. The user's filters are left out for the same reason, and
+ * candidates are checked in a fixed order however fast requests come back.
+ *
+ * @param dataSource data source to draw categories and clues from
+ * @param date the challenge's date, as YYYY-MM-DD
+ * @param signal AbortSignal that cancels building the board
+ * @return the board, categories with five clues each
+ */
+export async function generateDailyBoard(dataSource, date, signal) {
+  const random = seededRandom(date);
+  const categories = (await dataSource.searchCategories('', {}))
+    .filter(category => (category.clues_count || 0) >= CLUES_PER_CATEGORY)
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  const candidates = shuffle(categories, random);
+
+  const board = [];
+  for (let start = 0; start < candidates.length && board.length < BOARD_CATEGORIES; start += MAX_CONCURRENT_REQUESTS) {
+    if (signal && signal.aborted) {
+      return board;
+    }
+    const batch = candidates.slice(start, start + MAX_CONCURRENT_REQUESTS);
+    const batchClues = await Promise.all(batch.map(category => dataSource.getClues(category.id, {}, signal)));
+    batch.forEach((category, i) => {
+      // clues come sorted by id so the column is the same on every device
+      const clues = [...batchClues[i]].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+      const column = board.length < BOARD_CATEGORIES && pickColumn(clues, 'any', random);
+      if (column) {
+        board.push({ id: category.id, title: category.title, clues: column });
+      }
+    });
+  }
+
+  if (board.length < BOARD_CATEGORIES) {
+    throw new Error(`Only found ${board.length} of ${BOARD_CATEGORIES} categories for the daily challenge.`);
+  }
+  const round = ROUNDS[0];
+  return placeDailyDoubles(buildRound(board, round), round.dailyDoubles, random);
+}
+
+/**
+ * Configures the squares of the result grid.
+ */
+const SQUARES = {
+  correct: '\u{1F7E9}',
+  incorrect: '\u{1F7E5}',
+  passed: '⬜'
+};
+
+/**
+ * This function scores a finished daily challenge and writes a summary to
+ * share that shows how it went without giving any clues away: a grid laid
+ * out like the board, green for right, red for wrong and white for passed.
+ * Scoring is always standard so everybody's results compare.
+ *
+ * @param date the challenge's date
+ * @param board the challenge's board
+ * @param answered answers given on the board
+ * @return the score, number right and the summary text
+ */
+export function dailyResult(date, board, answered) {
+  const byClue = new Map(answered.map(entry => [entry.clue.id, entry]));
+  const outcome = clue => {
+    const entry = byClue.get(clue.id);
+    if (!entry || isPassed(entry)) {
+      return 'passed';
+    }
+    return judgeEntry(entry).correct ? 'correct' : 'incorrect';
+  };
+
+  const { score, breakdown } = calculateScore(answered, 'standard');
+  const rows = ROUNDS[0].values.map((value, row) =>
+    board.map(category => category.clues[row] ? SQUARES[outcome(category.clues[row])] : '').join('')
+  );
+  const total = board.reduce((sum, category) => sum + category.clues.length, 0);
+  const money = `${score < 0 ? '-' : ''}$${Math.abs(score).toLocaleString('en-US')}`;
+
+  return {
+    score: score,
+    correct: breakdown.correct.count,
+    summary: [
+      `Capital Jeopardy! Daily Challenge ${date}`,
+      `${money} (${breakdown.correct.count}/${total} right)`,
+      ...rows
+    ].join('\n')
+  };
+}
@@ -0,0 +1,49 @@
+import { dailyKey, seededRandom, shuffle, generateDailyBoard, dailyResult } from './dailyChallenge';
+import ClueIndex from '../dataSources/clueIndex';
+import { makeClues } from './clues.fixture';
+
+const clues = makeClues([200, 400, 600, 800, 1000, 1000]);
+
+it('names the day by its local date', () => {
+  expect(dailyKey(new Date(2020, 0, 5, 23, 30))).toBe('2020-01-05');
+});
+
+it('generates the same numbers from the same seed', () => {
+  const first = seededRandom('2020-01-05');
+  const second = seededRandom('2020-01-05');
+  const numbers = [first(), first(), first()];
+  expect([second(), second(), second()]).toEqual(numbers);
+  expect(numbers.every(number => number >= 0 && number < 1)).toBe(true);
+  expect(seededRandom('2020-01-06')()).not.toBe(numbers[0]);
+  expect(shuffle([1, 2, 3, 4, 5], seededRandom('x')).sort()).toEqual([1, 2, 3, 4, 5]);
+});
+
+it('builds the same board for the same date', async () => {
+  const board = await generateDailyBoard(new ClueIndex(clues), '2020-01-05');
+  const again = await generateDailyBoard(new ClueIndex([...clues].reverse()), '2020-01-05');
+  expect(again).toEqual(board);
+  expect(board).toHaveLength(6);
+  expect(board[0].clues.map(clue => clue.value)).toEqual([200, 400, 600, 800, 1000]);
+  expect(board.filter(category => category.clues.some(clue => clue.dailyDouble))).toHaveLength(1);
+
+  const otherDay = await generateDailyBoard(new ClueIndex(clues), '2020-01-06');
+  expect(otherDay).not.toEqual(board);
+});
+
+it('summarizes the result without spoilers', async () => {
+  const board = await generateDailyBoard(new ClueIndex(clues), '2020-01-05');
+  const [right, wrong] = board[0].clues;
+  const result = dailyResult('2020-01-05', board, [
+    { clue: right, answer: right.answer },
+    { clue: wrong, answer: 'no idea' }
+  ]);
+  expect(result.score).toBe(200 - 400);
+  expect(result.correct).toBe(1);
+  const lines = result.summary.split('\n');
+  expect(lines[0]).toBe('Capital Jeopardy! Daily Challenge 2020-01-05');
+  expect(lines[1]).toBe('-$200 (1/30 right)');
+  expect(lines).toHaveLength(7);
+  expect(lines[2].startsWith('\u{1F7E9}')).toBe(true);
+  expect(lines[3].startsWith('\u{1F7E5}')).toBe(true);
+  expect(result.summary).not.toContain(right.answer);
+});
@@ -0,0 +1,158 @@
+import ClueIndex from '../dataSources/clueIndex';
+import { forEachConcurrent, isAbortError, MAX_CONCURRENT_REQUESTS } from '../utils/concurrency';
+
+/**
+ * Configures the size of a full board: six categories of five clues each.
+ */
+export const BOARD_CATEGORIES = 6;
+export const CLUES_PER_CATEGORY = 5;
+
+/**
+ * Configures how many random clues are drawn at a time to find candidate
+ * categories, and how many draws are made before giving up.
+ */
+const RANDOM_CLUES_PER_DRAW = 100;
+const MAX_DRAWS = 5;
+
+/**
+ * This function picks one clue for each of five distinct values in a
+ * category, lowest values first, so the column fills every row of the board.
+ * When the user filtered by value, that value has to be one of the five.
+ *
+ * @param clues clues of the category that passed the date filters
+ * @param value value filter chosen by the user, or 'any'
+ * @param random returns a number from 0 up to 1, Math.random by default
+ * @return the five clues sorted by value, or null if the category can't
+ * fill a column
+ */
+export function pickColumn(clues, value = 'any', random = Math.random) {
+  const byValue = new Map();
+  clues.forEach(clue => {
+    if (clue.value && clue.question && clue.answer) {
+      if (!byValue.has(clue.value)) {
+        byValue.set(clue.value, []);
+      }
+      byValue.get(clue.value).push(clue);
+    }
+  });
+
+  const values = [...byValue.keys()].sort((a, b) => a - b);
+  let chosen = values.slice(0, CLUES_PER_CATEGORY);
+  if (chosen.length < CLUES_PER_CATEGORY) {
+    return null;
+  }
+  if (value !== 'any') {
+    const required = Number(value);
+    if (!byValue.has(required)) {
+      return null;
+    }
+    if (!chosen.includes(required)) {
+      chosen = [...chosen.slice(0, CLUES_PER_CATEGORY - 1), required];
+    }
+  }
+
+  return chosen.map(clueValue => {
+    const candidates = byValue.get(clueValue);
+    return candidates[Math.floor(random() * candidates.length)];
+  });
+}
+
+/**
+ * This function assembles a full board from random categories of the data
+ * source. Random clues suggest candidate categories, and a candidate makes
+ * the board only if, after the user's date filters, it has clues at enough
+ * distinct values to fill its column. A candidate whose clues fail to load
+ * is skipped, and another takes its place.
+ *
+ * @param dataSource data source to draw categories and clues from
+ * @param filters date span and value filters chosen by the user
+ * @param signal AbortSignal that cancels generating the board
+ * @param count number of distinct categories to find, e.g. twelve for the
+ * boards of both rounds of a game
+ * @param onFailure called with the error each time a candidate fails to load
+ * @return list of categories, each with id, title and five clues sorted by
+ * value
+ */
+export async function generateBoard(dataSource, filters = {}, signal, count = BOARD_CATEGORIES, onFailure = () => {}) {
+  const board = [];
+  const tried = new Set();
+
+  for (let draw = 0; draw < MAX_DRAWS && board.length < count; draw++) {
+    const randomClues = await dataSource.getRandomClues(RANDOM_CLUES_PER_DRAW);
+    const candidates = [];
+    randomClues.forEach(clue => {
+      const categoryId = clue.category_id || (clue.category || {}).id;
+      if (categoryId && !tried.has(String(categoryId))) {
+        tried.add(String(categoryId));
+        candidates.push(categoryId);
+      }
+    });
+
+    // the date filters narrow down the clues; the value filter is checked
+    // per column since a column needs several values
+    const dateFilters = { ...filters, value: 'any' };
+    await forEachConcurrent(candidates, MAX_CONCURRENT_REQUESTS, async (categoryId) => {
+      let clues;
+      try {
+        clues = await dataSource.getClues(categoryId, dateFilters, signal);
+      } catch (err) {
+        if (isAbortError(err)) {
+          throw err;
+        }
+        onFailure(err);
+        return;
+      }
+      const column = pickColumn(clues, filters.value);
+      if (column && board.length < count) {
+        board.push({
+          id: categoryId,
+          title: column[0].category.title,
+          clues: column
+        });
+      }
+    }, {
+      signal: signal,
+      shouldStop: () => board.length >= count
+    });
+  }
+
+  if (board.length < count) {
+    throw new Error(`Only found ${board.length} of ${count} categories with enough clues for a board. Try widening the filters.`);
+  }
+  return board;
+}
+
+/**
+ * This function draws a random clue for Final Jeopardy from the data source,
+ * aired within the user's date filters and preferably from a category not
+ * already on the game's boards. Small archives may have no other categories,
+ * so then any clue that wasn't played in the game will do.
+ *
+ * @param dataSource data source to draw the clue from
+ * @param filters date span filters chosen by the user
+ * @param usedCategoryIds ids of the categories already played in the game
+ * @param playedClueIds ids of the clues already played in the game
+ * @return the clue
+ */
+export async function drawFinalClue(dataSource, filters = {}, usedCategoryIds = [], playedClueIds = []) {
+  const used = new Set(usedCategoryIds.map(String));
+  const played = new Set(playedClueIds.map(String));
+  const dateFilters = { ...filters, value: 'any' };
+  let fallback = null;
+  for (let draw = 0; draw < MAX_DRAWS; draw++) {
+    const clues = (await dataSource.getRandomClues(RANDOM_CLUES_PER_DRAW)).filter(clue =>
+      clue.question && clue.answer && clue.category && clue.category.title &&
+      !played.has(String(clue.id)) &&
+      ClueIndex.matchesFilters(clue, dateFilters)
+    );
+    const clue = clues.find(clue => !used.has(String(clue.category_id || clue.category.id)));
+    if (clue) {
+      return clue;
+    }
+    fallback = fallback || clues[0] || null;
+  }
+  if (fallback) {
+    return fallback;
+  }
+  throw new Error('Could not find a Final Jeopardy clue within the date filters. Try widening them.');
+}
@@ -0,0 +1,49 @@
+import { pickColumn, generateBoard, drawFinalClue } from './randomBoard';
+import ClueIndex from '../dataSources/clueIndex';
+import { makeClues } from './clues.fixture';
+
+const clues = makeClues();
+
+it('picks one clue per value, lowest first', () => {
+  const column = pickColumn([...clues.slice(0, 5)].reverse());
+  expect(column.map(clue => clue.value)).toEqual([200, 400, 600, 800, 1000]);
+  expect(pickColumn(clues.slice(0, 4))).toBeNull();
+  expect(pickColumn(clues.slice(0, 5), '2000')).toBeNull();
+});
+
+it('builds a board of distinct categories', async () => {
+  const board = await generateBoard(new ClueIndex(clues), {}, undefined, 6);
+  expect(board).toHaveLength(6);
+  expect(new Set(board.map(category => category.id)).size).toBe(6);
+  board.forEach(category => expect(category.clues).toHaveLength(5));
+});
+
+it('skips categories that fail to load', async () => {
+  const index = new ClueIndex(clues);
+  const failures = [];
+  const dataSource = {
+    getRandomClues: count => index.getRandomClues(count),
+    getClues: async (categoryId, filters) => {
+      if (categoryId === 1 || categoryId === 2) {
+        throw new Error('503');
+      }
+      return index.getClues(categoryId, filters);
+    }
+  };
+  const board = await generateBoard(dataSource, {}, undefined, 6, err => failures.push(err.message));
+  expect(board.map(category => category.id).sort()).toEqual([3, 4, 5, 6, 7, 8]);
+  expect(failures).toEqual(['503', '503']);
+});
+
+it('draws Final Jeopardy from a category not on the boards', async () => {
+  const clue = await drawFinalClue(new ClueIndex(clues), {}, [1, 2, 3, 4, 5, 6, 7]);
+  expect(clue.category_id).toBe(8);
+});
+
+it('draws Final Jeopardy from a used category when there is no other', async () => {
+  const index = new ClueIndex(clues);
+  const played = clues.filter(clue => clue.id % 10 !== 3).map(clue => clue.id);
+  const clue = await drawFinalClue(index, {}, [1, 2, 3, 4, 5, 6, 7, 8], played);
+  expect(clue.id % 10).toBe(3);
+  await expect(drawFinalClue(index, {}, [], clues.map(clue => clue.id))).rejects.toThrow('Could not find a Final Jeopardy clue');
+});
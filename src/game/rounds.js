@@ -0,0 +1,91 @@
+/**
+ * Configures the rounds of a game, the dollar values of their rows and how
+ * many Daily Doubles hide on their boards. Double Jeopardy doubles every
+ * value and has two Daily Doubles.
+ */
+export const ROUNDS = [
+  { name: 'Jeopardy!', values: [200, 400, 600, 800, 1000], dailyDoubles: 1 },
+  { name: 'Double Jeopardy!', values: [400, 800, 1200, 1600, 2000], dailyDoubles: 2 }
+];
+
+/**
+ * Configures how likely a Daily Double is to hide in each row, top to
+ * bottom. On the show they are almost never in the top row and most often
+ * in the fourth.
+ */
+const DAILY_DOUBLE_ROW_WEIGHTS = [1, 9, 26, 38, 26];
+
+/**
+ * This function lays out categories as the board of a round: every
+ * category's clues, easiest first, take the dollar values of the round's
+ * rows. The clue's original value is kept as originalValue.
+ *
+ * @param categories categories with five clues each, sorted by value
+ * @param round one of ROUNDS
+ * @return the categories with their clues revalued for the round
+ */
+export function buildRound(categories, round) {
+  return categories.map(category => ({
+    ...category,
+    clues: category.clues.slice(0, round.values.length).map((clue, row) => ({
+      ...clue,
+      originalValue: clue.value,
+      value: round.values[row]
+    }))
+  }));
+}
+
+/**
+ * This function returns whether every clue on a round's board has been
+ * played.
+ *
+ * @param categories board of the round
+ * @param answered answered entries of the game
+ * @param playedIds ids of other played clues, e.g. ones played in a room
+ */
+export function isRoundCleared(categories, answered, playedIds = []) {
+  const played = new Set([...answered.map(entry => entry.clue.id), ...playedIds]);
+  return categories.length > 0 && categories.every(category => category.clues.every(clue => played.has(clue.id)));
+}
+
+/**
+ * This function picks a row for a Daily Double using the row weights.
+ *
+ * @param rows number of rows on the board
+ * @param random returns a number from 0 up to 1
+ */
+function pickDailyDoubleRow(rows, random) {
+  const weights = DAILY_DOUBLE_ROW_WEIGHTS.slice(0, rows);
+  let pick = random() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let row = 0; row < weights.length; row++) {
+    pick -= weights[row];
+    if (pick < 0) {
+      return row;
+    }
+  }
+  return weights.length - 1;
+}
+
+/**
+ * This function hides Daily Doubles on a round's board, each in a different
+ * category and in a row chosen by the row weights. The chosen clues are
+ * marked with dailyDouble: true.
+ *
+ * @param categories board of the round
+ * @param count number of Daily Doubles to hide
+ * @param random returns a number from 0 up to 1, Math.random by default
+ * @return the board with the Daily Doubles marked
+ */
+export function placeDailyDoubles(categories, count, random = Math.random) {
+  const columns = categories.map((category, i) => i);
+  const placed = new Map();
+  while (placed.size < Math.min(count, categories.length)) {
+    const column = columns.splice(Math.floor(random() * columns.length), 1)[0];
+    placed.set(column, Math.min(pickDailyDoubleRow(categories[column].clues.length, random), categories[column].clues.length - 1));
+  }
+
+  return categories.map((category, column) => !placed.has(column) ? category : {
+    ...category,
+    clues: category.clues.map((clue, row) => row === placed.get(column) ? { ...clue, dailyDouble: true } : clue)
+  });
+}
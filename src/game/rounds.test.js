@@ -0,0 +1,48 @@
+import { ROUNDS, buildRound, isRoundCleared, placeDailyDoubles } from './rounds';
+import { seededRandom } from './dailyChallenge';
+
+const categories = [1, 2, 3, 4, 5, 6].map(id => ({
+  id: id,
+  title: `CATEGORY ${id}`,
+  clues: [100, 200, 300, 400, 500, 600].map((value, row) => ({ id: id * 10 + row, value: value }))
+}));
+
+it('revalues clues for the round, keeping their original value', () => {
+  const board = buildRound(categories, ROUNDS[1]);
+  expect(board).toHaveLength(6);
+  expect(board[0].clues.map(clue => clue.value)).toEqual([400, 800, 1200, 1600, 2000]);
+  expect(board[0].clues.map(clue => clue.originalValue)).toEqual([100, 200, 300, 400, 500]);
+  expect(board[0].title).toBe('CATEGORY 1');
+  expect(categories[0].clues[0].value).toBe(100);
+});
+
+it('knows when every clue of a round is played', () => {
+  const board = buildRound(categories.slice(0, 2), ROUNDS[0]);
+  const answered = [].concat(...board.map(category => category.clues)).map(clue => ({ clue: clue }));
+  expect(isRoundCleared(board, answered)).toBe(true);
+  expect(isRoundCleared(board, answered.slice(1))).toBe(false);
+  expect(isRoundCleared([], [])).toBe(false);
+});
+
+it('hides each Daily Double in a different category', () => {
+  const random = seededRandom('daily doubles');
+  for (let i = 0; i < 20; i++) {
+    const board = placeDailyDoubles(buildRound(categories, ROUNDS[1]), 2, random);
+    const columns = board.filter(category => category.clues.some(clue => clue.dailyDouble));
+    expect(columns).toHaveLength(2);
+    columns.forEach(category => expect(category.clues.filter(clue => clue.dailyDouble)).toHaveLength(1));
+  }
+});
+
+it('hides Daily Doubles by the row weights', () => {
+  // a draw at the very start of the weights is the top row, at the end the bottom
+  const top = placeDailyDoubles(buildRound(categories, ROUNDS[0]), 1, () => 0);
+  expect(top[0].clues.findIndex(clue => clue.dailyDouble)).toBe(0);
+  const bottom = placeDailyDoubles(buildRound(categories, ROUNDS[0]), 1, () => 0.9999);
+  expect(bottom[5].clues.findIndex(clue => clue.dailyDouble)).toBe(4);
+});
+
+it('hides no more Daily Doubles than there are categories', () => {
+  const board = placeDailyDoubles(buildRound(categories.slice(0, 1), ROUNDS[1]), 2);
+  expect(board[0].clues.filter(clue => clue.dailyDouble)).toHaveLength(1);
+});
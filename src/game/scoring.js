@@ -0,0 +1,83 @@
+import { judgeEntry } from '../judging/judge';
+
+/**
+ * Configures how answers are scored. In standard scoring a wrong response
+ * costs the clue's value, as on the show; practice scoring only adds up
+ * correct responses, so guessing is free.
+ */
+export const SCORING_MODES = {
+  standard: 'Standard',
+  practice: 'Practice'
+};
+
+/**
+ * This function returns what an answer is worth: its wager for a Daily
+ * Double or Final Jeopardy, otherwise the clue's value.
+ *
+ * @param entry an answered entry
+ * @return the amount won or lost on it
+ */
+export function entryValue(entry) {
+  const value = entry.wager !== undefined ? entry.wager : entry.clue.value;
+  return Number(value) || 0;
+}
+
+/**
+ * This function returns whether the user passed on a clue, either leaving
+ * the response blank or running out of time. A wager can't be passed on:
+ * once it is placed, a blank response on a Daily Double or in Final
+ * Jeopardy is wrong and loses it.
+ *
+ * @param entry an answered entry
+ * @return true if nothing was answered and nothing wagered
+ */
+export function isPassed(entry) {
+  return !(entry.answer || '').trim() && entry.wager === undefined;
+}
+
+/**
+ * This function returns how much an answer adds to or takes from the score.
+ *
+ * @param entry an answered entry
+ * @param mode one of the SCORING_MODES keys
+ * @return the change in score
+ */
+export function scoreEntry(entry, mode = 'standard') {
+  if (isPassed(entry)) {
+    return 0;
+  }
+  if (judgeEntry(entry).correct) {
+    return entryValue(entry);
+  }
+  return mode === 'practice' ? 0 : -entryValue(entry);
+}
+
+/**
+ * This function scores a list of answers, returning the score along with a
+ * breakdown of how many were right, wrong or passed and what each of those
+ * were worth, and the running score after each answer.
+ *
+ * @param answered answered entries, oldest first
+ * @param mode one of the SCORING_MODES keys
+ * @return the score, breakdown and running score
+ */
+export function calculateScore(answered, mode = 'standard') {
+  const breakdown = {
+    correct: { count: 0, amount: 0 },
+    incorrect: { count: 0, amount: 0 },
+    passed: { count: 0, amount: 0 }
+  };
+  const running = [];
+  let score = 0;
+
+  answered.forEach(entry => {
+    const change = scoreEntry(entry, mode);
+    const outcome = isPassed(entry) ? 'passed' : judgeEntry(entry).correct ? 'correct' : 'incorrect';
+    breakdown[outcome].count++;
+    breakdown[outcome].amount += change;
+    score += change;
+    running.push(score);
+  });
+
+  return { score, breakdown, running };
+}
@@ -0,0 +1,52 @@
+import { calculateScore, scoreEntry, isPassed } from './scoring';
+
+const clue = { id: 1, value: 400, answer: 'Nile' };
+
+it('adds correct answers and subtracts wrong ones', () => {
+  expect(scoreEntry({ clue, answer: 'the Nile' })).toBe(400);
+  expect(scoreEntry({ clue, answer: 'Amazon' })).toBe(-400);
+});
+
+it('scores passed clues as zero', () => {
+  expect(isPassed({ clue, answer: '  ' })).toBe(true);
+  expect(scoreEntry({ clue, answer: '' })).toBe(0);
+});
+
+it('scores a blank response on a wager as wrong', () => {
+  expect(isPassed({ clue, answer: '', wager: 1000 })).toBe(false);
+  expect(scoreEntry({ clue, answer: '', wager: 1000 })).toBe(-1000);
+  expect(scoreEntry({ clue, answer: '', wager: 1000 }, 'practice')).toBe(0);
+  expect(calculateScore([{ clue, answer: '', wager: 1000 }]).breakdown.incorrect).toEqual({ count: 1, amount: -1000 });
+});
+
+it('uses wagers instead of clue values', () => {
+  expect(scoreEntry({ clue, answer: 'Nile', wager: 1500 })).toBe(1500);
+  expect(scoreEntry({ clue, answer: 'Congo', wager: 1500 })).toBe(-1500);
+  expect(scoreEntry({ clue, answer: 'Nile', wager: 0 })).toBe(0);
+});
+
+it('does not take anything away in practice mode', () => {
+  expect(scoreEntry({ clue, answer: 'Amazon' }, 'practice')).toBe(0);
+  expect(scoreEntry({ clue, answer: 'Nile' }, 'practice')).toBe(400);
+});
+
+it('respects judge overrides', () => {
+  expect(scoreEntry({ clue, answer: 'Amazon', override: true })).toBe(400);
+  expect(scoreEntry({ clue, answer: 'Nile', override: false })).toBe(-400);
+});
+
+it('breaks the score down and keeps a running total', () => {
+  const result = calculateScore([
+    { clue, answer: 'Nile' },
+    { clue: { ...clue, value: 200 }, answer: 'Amazon' },
+    { clue, answer: '' },
+    { clue: { ...clue, value: null }, answer: 'Nile' }
+  ]);
+  expect(result.score).toBe(200);
+  expect(result.running).toEqual([400, 200, 200, 200]);
+  expect(result.breakdown).toEqual({
+    correct: { count: 2, amount: 400 },
+    incorrect: { count: 1, amount: -200 },
+    passed: { count: 1, amount: 0 }
+  });
+});
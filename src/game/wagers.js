@@ -0,0 +1,54 @@
+/**
+ * Configures the smallest wager allowed on a Daily Double.
+ */
+export const MIN_DAILY_DOUBLE_WAGER = 5;
+
+/**
+ * This function returns the wagers allowed on a Daily Double: at least $5,
+ * and up to the player's score or, if that is less, the top clue value of
+ * the round, so players with little or no money can still wager.
+ *
+ * @param score player's current score
+ * @param round round being played, one of ROUNDS
+ * @return the smallest and largest allowed wager
+ */
+export function dailyDoubleLimits(score, round) {
+  const topValue = Math.max(...round.values);
+  return {
+    min: MIN_DAILY_DOUBLE_WAGER,
+    max: Math.max(score, topValue)
+  };
+}
+
+/**
+ * This function checks a wager against the allowed limits.
+ *
+ * @param wager wager entered by the user
+ * @param limits smallest and largest allowed wager
+ * @return a message saying what is wrong with the wager, or null if it is
+ * allowed
+ */
+export function validateWager(wager, limits) {
+  const amount = Number(wager);
+  if (wager === '' || !Number.isInteger(amount)) {
+    return 'Enter a whole dollar amount.';
+  }
+  if (amount < limits.min || amount > limits.max) {
+    return `Wager between $${limits.min} and $${limits.max}.`;
+  }
+  return null;
+}
+
+/**
+ * This function returns the wagers allowed in Final Jeopardy: anything from
+ * nothing up to the player's whole score.
+ *
+ * @param score player's current score
+ * @return the smallest and largest allowed wager
+ */
+export function finalJeopardyLimits(score) {
+  return {
+    min: 0,
+    max: Math.max(score, 0)
+  };
+}
@@ -0,0 +1,25 @@
+import { dailyDoubleLimits, validateWager, finalJeopardyLimits, MIN_DAILY_DOUBLE_WAGER } from './wagers';
+import { ROUNDS } from './rounds';
+
+it('allows a Daily Double wager up to the score or the top clue value', () => {
+  expect(dailyDoubleLimits(3000, ROUNDS[0])).toEqual({ min: MIN_DAILY_DOUBLE_WAGER, max: 3000 });
+  expect(dailyDoubleLimits(600, ROUNDS[0])).toEqual({ min: 5, max: 1000 });
+  expect(dailyDoubleLimits(-400, ROUNDS[1])).toEqual({ min: 5, max: 2000 });
+});
+
+it('checks wagers against the limits', () => {
+  const limits = { min: 5, max: 1000 };
+  expect(validateWager('5', limits)).toBeNull();
+  expect(validateWager('1000', limits)).toBeNull();
+  expect(validateWager('4', limits)).toBe('Wager between $5 and $1000.');
+  expect(validateWager('1001', limits)).toBe('Wager between $5 and $1000.');
+  expect(validateWager('', limits)).toBe('Enter a whole dollar amount.');
+  expect(validateWager('12.5', limits)).toBe('Enter a whole dollar amount.');
+  expect(validateWager('lots', limits)).toBe('Enter a whole dollar amount.');
+});
+
+it('allows a Final Jeopardy wager from nothing up to the score', () => {
+  expect(finalJeopardyLimits(4200)).toEqual({ min: 0, max: 4200 });
+  expect(finalJeopardyLimits(-200)).toEqual({ min: 0, max: 0 });
+  expect(validateWager('0', finalJeopardyLimits(4200))).toBeNull();
+});
@@ -0,0 +1,77 @@
+import { simplify, judgeAnswer } from './judge';
+
+/**
+ * Configures how many choices a multiple-choice clue offers, the correct
+ * answer included.
+ */
+export const CHOICE_COUNT = 4;
+
+/**
+ * This function sorts an answer into a rough type, so distractors can look
+ * like the correct answer: a year, another number, a single word, a short
+ * name or phrase, or a long phrase.
+ *
+ * @param answer a clue's answer
+ * @return the answer type
+ */
+export function answerType(answer) {
+  const simplified = simplify(answer);
+  if (/^\d{4}$/.test(simplified)) {
+    return 'year';
+  }
+  if (/^[\d ]+$/.test(simplified)) {
+    return 'number';
+  }
+  const words = simplified.split(' ').length;
+  if (words === 1) {
+    return 'word';
+  }
+  return words <= 3 ? 'name' : 'phrase';
+}
+
+/**
+ * This function offers the choices for a multiple-choice clue: its answer
+ * and distractors taken from other clues' answers, shuffled. Distractors
+ * from the same category come first, then ones of the same answer type.
+ * Answers the judge would accept for the clue, and repeats, are never
+ * offered as distractors.
+ *
+ * @param clue clue to offer choices for
+ * @param pool other clues to take distractors from
+ * @param random returns a number from 0 up to 1, Math.random by default
+ * @param count number of choices to offer
+ * @return the choices, which may be fewer than count if the pool is small
+ */
+export function makeChoices(clue, pool, random = Math.random, count = CHOICE_COUNT) {
+  const categoryId = String(clue.category_id || (clue.category || {}).id);
+  const type = answerType(clue.answer);
+  const seen = new Set([simplify(clue.answer)]);
+
+  const candidates = [];
+  pool.forEach(other => {
+    const answer = other.answer;
+    if (!answer || other.id === clue.id || seen.has(simplify(answer)) || judgeAnswer(answer, clue.answer).correct) {
+      return;
+    }
+    seen.add(simplify(answer));
+    const sameCategory = String(other.category_id || (other.category || {}).id) === categoryId;
+    candidates.push({
+      answer: answer,
+      // same category counts most, a shared answer type next, and the random
+      // part breaks ties so the same distractors don't always come up
+      score: (sameCategory ? 2 : 0) + (answerType(answer) === type ? 1 : 0) + random()
+    });
+  });
+
+  const distractors = candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count - 1)
+    .map(candidate => candidate.answer);
+
+  const choices = [clue.answer, ...distractors];
+  for (let i = choices.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [choices[i], choices[j]] = [choices[j], choices[i]];
+  }
+  return choices;
+}
@@ -0,0 +1,51 @@
+import { answerType, makeChoices } from './choices';
+import { seededRandom } from '../game/dailyChallenge';
+
+const rivers = { id: 9, title: 'RIVERS' };
+const clue = { id: 1, answer: 'the Nile', category_id: 9, category: rivers };
+const pool = [
+  clue,
+  { id: 2, answer: 'the Amazon', category_id: 9, category: rivers },
+  { id: 3, answer: 'Nile', category_id: 9, category: rivers },
+  { id: 4, answer: 'the Danube', category_id: 9, category: rivers },
+  { id: 5, answer: '1492', category_id: 4, category: { id: 4, title: 'HISTORY' } },
+  { id: 6, answer: 'Mississippi', category_id: 4, category: { id: 4, title: 'HISTORY' } },
+  { id: 7, answer: 'the Amazon', category_id: 4, category: { id: 4, title: 'HISTORY' } },
+  { id: 8, answer: 'Eleanor Roosevelt', category_id: 4, category: { id: 4, title: 'HISTORY' } }
+];
+
+it('sorts answers into rough types', () => {
+  expect(answerType('1492')).toBe('year');
+  expect(answerType('forty-two')).toBe('number');
+  expect(answerType('the Nile')).toBe('word');
+  expect(answerType('Eleanor Roosevelt')).toBe('name');
+  expect(answerType('A Tale of Two Cities')).toBe('phrase');
+});
+
+it('offers the answer and three distinct distractors', () => {
+  const choices = makeChoices(clue, pool);
+  expect(choices).toHaveLength(4);
+  expect(choices).toContain('the Nile');
+  expect(new Set(choices).size).toBe(4);
+  // another way of writing the answer is never a distractor
+  expect(choices).not.toContain('Nile');
+});
+
+it('prefers distractors from the same category, then of the same type', () => {
+  const choices = makeChoices(clue, pool);
+  expect(choices).toEqual(expect.arrayContaining(['the Amazon', 'the Danube', 'Mississippi']));
+});
+
+it('offers fewer choices when there are few other answers', () => {
+  expect(makeChoices(clue, [clue])).toEqual(['the Nile']);
+});
+
+it('shuffles the choices', () => {
+  const random = seededRandom('choices');
+  const positions = new Set();
+  for (let i = 0; i < 20; i++) {
+    positions.add(makeChoices(clue, pool, random).indexOf('the Nile'));
+  }
+  expect(positions.size).toBeGreaterThan(1);
+  expect(makeChoices(clue, pool, seededRandom('same'))).toEqual(makeChoices(clue, pool, seededRandom('same')));
+});
@@ -0,0 +1,207 @@
+import { editDistance } from '../search/categorySearch';
+import { numberWordsToDigits } from './numbers';
+
+/**
+ * Configures words dropped from the start of responses and answers, so
+ * "The Moby Dick" and "Moby Dick" compare equal.
+ */
+const LEADING_ARTICLES = /^(the|a|an) /;
+
+/**
+ * Configures how a response in the form of a question starts, e.g. "What
+ * is", "Who are" or "What's".
+ */
+const QUESTION_FORM = /^\s*(who|what|where|when|which)\s*('s|’s|\s(is|are|was|were)\b)/i;
+const SIMPLIFIED_QUESTION_FORM = /^(who|what|where|when|which)( is| are| was| were|s) /;
+
+/**
+ * Configures how closely a response has to match, short of exactly, for its
+ * judgement to be a close call worth the user checking.
+ */
+const BORDERLINE_CONFIDENCE = 0.75;
+
+/**
+ * Configures the largest share of an answer that may be typos, so a one
+ * letter slip is forgiven but a different word of similar length isn't.
+ */
+const MAX_TYPO_RATIO = 0.2;
+
+/**
+ * This function reduces a response or answer to what matters for judging:
+ * lowercase letters and digits separated by single spaces, without accents,
+ * punctuation or a leading article, with "&" spelled out as "and" and
+ * numbers written as digits.
+ *
+ * @param text response or answer
+ */
+export function simplify(text) {
+  return numberWordsToDigits((text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(LEADING_ARTICLES, ''));
+}
+
+/**
+ * This function returns whether a response is phrased as a question, like
+ * "What is Moby Dick?" or "Who's Melville?".
+ *
+ * @param response what the user answered
+ */
+export function isQuestionForm(response) {
+  return QUESTION_FORM.test(response || '');
+}
+
+/**
+ * This function lists the ways a simplified response may be read: as it is
+ * and, when it is phrased as a question, without the "what is" part. Both are
+ * kept so answers that really start with "what's" still match.
+ *
+ * @param simplified simplified response
+ */
+function responseReadings(simplified) {
+  const readings = [simplified];
+  if (SIMPLIFIED_QUESTION_FORM.test(simplified)) {
+    readings.push(simplified.replace(SIMPLIFIED_QUESTION_FORM, '').replace(LEADING_ARTICLES, ''));
+  }
+  return readings.filter(reading => reading);
+}
+
+/**
+ * This function lists the answers a clue accepts as alternates: those split
+ * by "/" as in "Burma/Myanmar" and those given as "(or ...)" as in
+ * "Burma (or Myanmar)". Slashes inside short answers like "AC/DC" or "1/2"
+ * don't split them.
+ *
+ * @param answer correct answer of the clue
+ */
+function alternateAnswers(answer) {
+  const alternates = [];
+  const main = (answer || '').replace(/\(\s*or\s+([^)]*)\)/gi, (part, alternate) => {
+    alternates.push(alternate);
+    return ' ';
+  });
+
+  const parts = main.split('/');
+  if (parts.length > 1 && parts.every(part => simplify(part).replace(/[\d ]/g, '').length >= 3)) {
+    alternates.unshift(...parts);
+  }
+  return [main, ...alternates];
+}
+
+/**
+ * This function lists the acceptable forms of an answer: the answer and its
+ * alternates as a whole and, when they have optional parts in parentheses
+ * like "(Herman) Melville", without them.
+ *
+ * @param answer correct answer of the clue
+ * @return list of simplified acceptable answers
+ */
+export function acceptableAnswers(answer) {
+  const forms = new Set();
+  alternateAnswers(answer).forEach(alternate => {
+    forms.add(simplify(alternate));
+    forms.add(simplify(alternate.replace(/\([^)]*\)/g, ' ')));
+  });
+  return [...forms].filter(form => form);
+}
+
+/**
+ * This function returns how many typos a response may contain and still be
+ * judged correct, so short answers must be spelled exactly. It goes by the
+ * shorter of the response and the answer, so a short response can't match a
+ * long answer, like "Austria" for "Australia", on the long one's allowance.
+ *
+ * @param length length of the shorter of the simplified response and answer
+ */
+function allowedTypos(length) {
+  if (length < 5) {
+    return 0;
+  }
+  if (length < 9) {
+    return 1;
+  }
+  return length < 15 ? 2 : 3;
+}
+
+/**
+ * This function returns the numbers in a simplified response or answer, in
+ * order, so they can be required to match exactly.
+ *
+ * @param simplified simplified response or answer
+ */
+function numbersIn(simplified) {
+  return (simplified.match(/\d+/g) || []).join(' ');
+}
+
+/**
+ * This function judges a response against the correct answer of a clue,
+ * ignoring case, punctuation, leading articles, a "what is" style question
+ * prefix and optional parenthetical parts, treating number words, ordinals
+ * and digits alike, accepting any listed alternate, and tolerating a few
+ * typos in longer answers. Typos are only tolerated in words: any numbers
+ * must be exactly the answer's, so "Apollo 13" is not "Apollo 11".
+ *
+ * @param response what the user answered
+ * @param answer correct answer of the clue
+ * @return whether the response is correct, and a confidence between 0 and 1
+ * of how closely it matches the nearest acceptable answer
+ */
+export function judgeAnswer(response, answer) {
+  const simplified = simplify(response);
+  let best = { correct: false, confidence: 0 };
+  if (!simplified) {
+    return best;
+  }
+
+  responseReadings(simplified).forEach(reading => {
+    acceptableAnswers(answer).forEach(form => {
+      // compare without spaces too, so "mobydick" matches "moby dick"
+      const distance = Math.min(
+        editDistance(reading, form),
+        editDistance(reading.replace(/ /g, ''), form.replace(/ /g, ''))
+      );
+      const confidence = Math.max(0, 1 - distance / Math.max(form.length, reading.length));
+      const shorter = Math.min(form.length, reading.length);
+      const correct = distance <= allowedTypos(shorter) && distance <= shorter * MAX_TYPO_RATIO &&
+        numbersIn(reading) === numbersIn(form);
+      if ((correct && !best.correct) || (correct === best.correct && confidence > best.confidence)) {
+        best = { correct: correct, confidence: confidence };
+      }
+    });
+  });
+  return best;
+}
+
+/**
+ * This function returns whether a judgement was a close call: the response
+ * nearly matched, so it was accepted despite typos or rejected by only a
+ * little. The user should check those against the correct answer.
+ *
+ * @param judgment result of judgeAnswer or judgeEntry
+ */
+export function isBorderline(judgment) {
+  return !judgment.overridden && judgment.confidence >= BORDERLINE_CONFIDENCE && judgment.confidence < 1;
+}
+
+/**
+ * This function judges an entry of the answered list. When the user has
+ * overridden the judge on the entry, their ruling wins.
+ *
+ * @param entry answered entry with the clue, the user's answer and possibly
+ * an override
+ * @return whether the answer is correct, the confidence of the match, and
+ * whether that ruling was overridden
+ */
+export function judgeEntry(entry) {
+  const judgment = judgeAnswer(entry.answer, entry.clue.answer);
+  if (typeof entry.override === 'boolean') {
+    return { ...judgment, correct: entry.override, overridden: true };
+  }
+  return { ...judgment, overridden: false };
+}
@@ -0,0 +1,144 @@
+import { simplify, acceptableAnswers, isQuestionForm, judgeAnswer, judgeEntry, isBorderline } from './judge';
+
+const isCorrect = (response, answer) => judgeAnswer(response, answer).correct;
+
+it('simplifies case, punctuation and leading articles', () => {
+  expect(simplify('The Moby-Dick!')).toBe('moby dick');
+  expect(simplify("Ol' Man River")).toBe('ol man river');
+  expect(simplify('  A  Tale of Two Cities ')).toBe('tale of 2 cities');
+  expect(simplify('Café')).toBe('cafe');
+  expect(simplify('T.S. Eliot')).toBe('ts eliot');
+});
+
+it('lists answers with and without optional parts', () => {
+  expect(acceptableAnswers('(Herman) Melville')).toEqual(['herman melville', 'melville']);
+  expect(acceptableAnswers('Moby Dick')).toEqual(['moby dick']);
+  expect(acceptableAnswers('(the) Nile')).toEqual(['nile']);
+});
+
+it('accepts answers that differ in case, punctuation and articles', () => {
+  expect(isCorrect('moby dick', 'Moby-Dick')).toBe(true);
+  expect(isCorrect('The Moby Dick', 'Moby-Dick')).toBe(true);
+  expect(isCorrect('mobydick', 'Moby-Dick')).toBe(true);
+  expect(isCorrect('louisiana purchase', 'the Louisiana Purchase')).toBe(true);
+  expect(isCorrect('ts eliot', 'T.S. Eliot')).toBe(true);
+});
+
+it('accepts answers with or without optional parts', () => {
+  expect(isCorrect('Melville', '(Herman) Melville')).toBe(true);
+  expect(isCorrect('Herman Melville', '(Herman) Melville')).toBe(true);
+  expect(isCorrect('Ishmael', 'Moby Dick (or the whale)')).toBe(false);
+});
+
+it('tolerates small typos in longer answers only', () => {
+  expect(isCorrect('Shakespear', 'Shakespeare')).toBe(true);
+  expect(isCorrect('Huckleberry Fin', 'Huckleberry Finn')).toBe(true);
+  expect(isCorrect('Mississipi River', 'Mississippi River')).toBe(true);
+  expect(isCorrect('Mark', 'Mars')).toBe(false);
+  expect(isCorrect('Rome', 'Roma')).toBe(false);
+  expect(isCorrect('Canada', 'Canberra')).toBe(false);
+});
+
+it('rejects near-miss proper nouns', () => {
+  expect(isCorrect('Austria', 'Australia')).toBe(false);
+  expect(isCorrect('Australia', 'Austria')).toBe(false);
+  expect(isCorrect('Slovenia', 'Slovakia')).toBe(false);
+  expect(isCorrect('Niger', 'Nigeria')).toBe(false);
+  expect(isCorrect('Jeffersen', 'Jefferson')).toBe(true);
+  expect(isCorrect('Philipines', 'the Philippines')).toBe(true);
+});
+
+it('rejects blank responses', () => {
+  expect(judgeAnswer('', 'Ottawa')).toEqual({ correct: false, confidence: 0 });
+  expect(judgeAnswer(undefined, 'Ottawa')).toEqual({ correct: false, confidence: 0 });
+  expect(judgeAnswer('   ', 'Ottawa')).toEqual({ correct: false, confidence: 0 });
+});
+
+it('scores confidence by closeness of the match', () => {
+  expect(judgeAnswer('Ottawa', 'Ottawa').confidence).toBe(1);
+  expect(judgeAnswer('Otawa', 'Ottawa').confidence).toBeCloseTo(5 / 6);
+  expect(judgeAnswer('Toronto', 'Ottawa').confidence).toBeLessThan(0.5);
+});
+
+it('flags close calls', () => {
+  expect(isBorderline(judgeAnswer('Shakespear', 'Shakespeare'))).toBe(true);
+  expect(isBorderline(judgeAnswer('Austria', 'Australia'))).toBe(true);
+  expect(isBorderline(judgeAnswer('Shakespeare', 'Shakespeare'))).toBe(false);
+  expect(isBorderline(judgeAnswer('Toronto', 'Ottawa'))).toBe(false);
+  expect(isBorderline(judgeEntry({ clue: { answer: 'Australia' }, answer: 'Austria', override: true }))).toBe(false);
+});
+
+it('lets an override decide an entry', () => {
+  const clue = { id: 1, answer: 'New York City' };
+  expect(judgeEntry({ clue: clue, answer: 'NYC' })).toEqual({ correct: false, confidence: expect.any(Number), overridden: false });
+  expect(judgeEntry({ clue: clue, answer: 'NYC', override: true }).correct).toBe(true);
+  expect(judgeEntry({ clue: clue, answer: 'new york city', override: false }))
+    .toEqual({ correct: false, confidence: 1, overridden: true });
+});
+
+it('recognizes responses in the form of a question', () => {
+  expect(isQuestionForm('What is Moby Dick?')).toBe(true);
+  expect(isQuestionForm("who's Melville")).toBe(true);
+  expect(isQuestionForm('Where are the Alps?')).toBe(true);
+  expect(isQuestionForm('Moby Dick')).toBe(false);
+  expect(isQuestionForm('Whatever')).toBe(false);
+  expect(isQuestionForm('The Who')).toBe(false);
+});
+
+it('strips the question form before judging', () => {
+  expect(isCorrect('What is Moby Dick?', 'Moby-Dick')).toBe(true);
+  expect(isCorrect('Who are Lewis and Clark?', 'Lewis and Clark')).toBe(true);
+  expect(isCorrect('What is the Nile?', 'the Nile')).toBe(true);
+  expect(isCorrect("What's My Line?", "What's My Line?")).toBe(true);
+});
+
+it('treats number words, ordinals and digits alike', () => {
+  expect(isCorrect('four', '4')).toBe(true);
+  expect(isCorrect('4', 'four')).toBe(true);
+  expect(isCorrect('13', 'thirteen')).toBe(true);
+  expect(isCorrect('the Eighth Amendment', '8th Amendment')).toBe(true);
+  expect(isCorrect('fourth of July', 'the 4th of July')).toBe(true);
+  expect(isCorrect('two hundred six', '206')).toBe(true);
+  expect(isCorrect('one hundred and one Dalmatians', '101 Dalmatians')).toBe(true);
+  expect(isCorrect('Catch twenty-two', 'Catch-22')).toBe(true);
+  expect(isCorrect('1,000', 'one thousand')).toBe(true);
+  expect(isCorrect('five', '4')).toBe(false);
+});
+
+it('requires numbers to match exactly', () => {
+  expect(isCorrect('Catch-23', 'Catch-22')).toBe(false);
+  expect(isCorrect('Apollo 13', 'Apollo 11')).toBe(false);
+  expect(isCorrect('Apollo thirteen', 'Apollo 13')).toBe(true);
+  expect(isCorrect('Apolo 13', 'Apollo 13')).toBe(true);
+  expect(isCorrect('Ocean 11', "Ocean's Eleven")).toBe(true);
+  expect(isCorrect('Fahrenheit 541', 'Fahrenheit 451')).toBe(false);
+});
+
+it('reads pairs of two-digit numbers as years', () => {
+  expect(isCorrect('seventeen seventy-six', '1776')).toBe(true);
+  expect(isCorrect('nineteen hundred', '1900')).toBe(true);
+  expect(isCorrect('two thousand twenty', '2020')).toBe(true);
+  expect(isCorrect('twenty twenty', '2020')).toBe(true);
+  expect(isCorrect('seventeen seventy-seven', '1776')).toBe(false);
+});
+
+it('treats ampersands as "and"', () => {
+  expect(isCorrect('Lewis and Clark', 'Lewis & Clark')).toBe(true);
+  expect(isCorrect('Lewis & Clark', 'Lewis and Clark')).toBe(true);
+  expect(isCorrect('AT&T', 'AT&T')).toBe(true);
+});
+
+it('accepts any listed alternate', () => {
+  expect(isCorrect('Myanmar', 'Burma/Myanmar')).toBe(true);
+  expect(isCorrect('Burma', 'Burma/Myanmar')).toBe(true);
+  expect(isCorrect('Myanmar', 'Burma (or Myanmar)')).toBe(true);
+  expect(isCorrect('Burma', 'Burma (or Myanmar)')).toBe(true);
+  expect(isCorrect('the Netherlands', 'Holland (or the Netherlands)')).toBe(true);
+  expect(isCorrect('Thailand', 'Burma/Myanmar')).toBe(false);
+});
+
+it('keeps short answers with slashes whole', () => {
+  expect(acceptableAnswers('AC/DC')).toEqual(['ac dc']);
+  expect(acceptableAnswers('1/2')).toEqual(['1 2']);
+  expect(isCorrect('AC', 'AC/DC')).toBe(false);
+});
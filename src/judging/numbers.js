@@ -0,0 +1,136 @@
+/**
+ * Configures the values of number words. Ordinals map to the same values as
+ * their cardinals, so "fourth" and "four" compare equal.
+ */
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19,
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19
+};
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+  twentieth: 20, thirtieth: 30, fortieth: 40, fiftieth: 50, sixtieth: 60, seventieth: 70,
+  eightieth: 80, ninetieth: 90
+};
+const SCALES = {
+  hundred: 100, hundredth: 100,
+  thousand: 1000, thousandth: 1000,
+  million: 1000000, millionth: 1000000,
+  billion: 1000000000, billionth: 1000000000
+};
+
+/**
+ * This function returns whether a word is a number word.
+ *
+ * @param word lowercase word
+ */
+function isNumberWord(word) {
+  return word in UNITS || word in TENS || word in SCALES;
+}
+
+/**
+ * This function adds up number words with scales, like "two thousand
+ * twenty" or "one hundred and one".
+ *
+ * @param words run of number words
+ */
+function sumWithScales(words) {
+  let total = 0;
+  let current = 0;
+  words.forEach(word => {
+    if (word in SCALES && SCALES[word] === 100) {
+      current = (current || 1) * 100;
+    } else if (word in SCALES) {
+      total += (current || 1) * SCALES[word];
+      current = 0;
+    } else {
+      current += word in UNITS ? UNITS[word] : TENS[word];
+    }
+  });
+  return total + current;
+}
+
+/**
+ * This function splits number words without scales into the numbers they
+ * name, e.g. "seventy six" is one number and "one two" is two.
+ *
+ * @param words run of number words without scales
+ * @return list of numbers
+ */
+function groupNumbers(words) {
+  const numbers = [];
+  let tens = null;
+  words.forEach(word => {
+    if (word in TENS) {
+      if (tens !== null) {
+        numbers.push(tens);
+      }
+      tens = TENS[word];
+    } else if (tens !== null && UNITS[word] < 10 && UNITS[word] > 0) {
+      numbers.push(tens + UNITS[word]);
+      tens = null;
+    } else {
+      if (tens !== null) {
+        numbers.push(tens);
+        tens = null;
+      }
+      numbers.push(UNITS[word]);
+    }
+  });
+  if (tens !== null) {
+    numbers.push(tens);
+  }
+  return numbers;
+}
+
+/**
+ * This function turns a run of number words into digits. Runs with scales
+ * are added up, and two two-digit numbers in a row are read as a year, like
+ * "seventeen seventy six" for 1776.
+ *
+ * @param words run of number words
+ * @return the digits, space separated if the run names several numbers
+ */
+function convertRun(words) {
+  if (words.some(word => word in SCALES)) {
+    return String(sumWithScales(words));
+  }
+  const numbers = groupNumbers(words);
+  if (numbers.length === 2 && numbers[0] >= 10 && numbers[1] >= 10) {
+    return String(numbers[0] * 100 + numbers[1]);
+  }
+  return numbers.join(' ');
+}
+
+/**
+ * This function replaces number words and ordinals in simplified text with
+ * digits, so "four", "fourth", "4th" and "4" all become "4" and "seventeen
+ * seventy six" becomes "1776". An "and" between number words, as in "one
+ * hundred and one", is part of the number.
+ *
+ * @param text lowercase text of words separated by single spaces
+ */
+export function numberWordsToDigits(text) {
+  const words = text.replace(/\b(\d+)(st|nd|rd|th)\b/g, '$1').split(' ');
+  const result = [];
+  let run = [];
+  words.forEach((word, i) => {
+    const joinsNumbers = word === 'and' && run.length > 0 && isNumberWord(words[i + 1] || '');
+    if (isNumberWord(word)) {
+      run.push(word);
+    } else if (!joinsNumbers) {
+      if (run.length > 0) {
+        result.push(convertRun(run));
+        run = [];
+      }
+      result.push(word);
+    }
+  });
+  if (run.length > 0) {
+    result.push(convertRun(run));
+  }
+  return result.join(' ');
+}
@@ -0,0 +1,178 @@
+/**
+ * Configures the port the game server listens on by default.
+ */
+export const DEFAULT_SERVER_PORT = 4000;
+
+/**
+ * This function reads the address of the game server. The build-time
+ * environment variable REACT_APP_GAME_SERVER sets it, and the `server` query
+ * parameter of the page overrides it; otherwise the server is assumed to run
+ * on the same machine as the page, e.g. `ws://192.168.1.20:4000`.
+ *
+ * @param location location of the page
+ * @return the WebSocket URL of the game server
+ */
+export function getGameServerUrl(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  return params.get('server') || process.env.REACT_APP_GAME_SERVER ||
+    `ws://${location.hostname || 'localhost'}:${DEFAULT_SERVER_PORT}`;
+}
+
+/**
+ * A GameClient is the browser's connection to the game server, used both by
+ * the host showing the board and by players buzzing in from their phones.
+ * Handlers registered with `on` receive the server's messages by type:
+ * 'state' with the room, 'joined', 'answer' for the host, 'error' and
+ * 'close' when the connection drops.
+ *
+ * @version 1.0
+ */
+class GameClient {
+  /**
+   * This constructor method points the client at a game server.
+   *
+   * @param url WebSocket URL of the game server
+   */
+  constructor(url = getGameServerUrl()) {
+    this.url = url;
+    this.handlers = {};
+    this.socket = null;
+  }
+
+  /**
+   * This method connects to the server.
+   * @return a promise that resolves once connected
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+      socket.onopen = () => resolve();
+      socket.onerror = () => reject(new Error(`Couldn't reach the game server at ${this.url}.`));
+      socket.onmessage = event => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (err) {
+          return;
+        }
+        this.emit(message.type, message);
+      };
+      socket.onclose = () => {
+        if (this.socket === socket) {
+          this.socket = null;
+          this.emit('close', {});
+        }
+      };
+    });
+  }
+
+  /**
+   * This method registers a handler for a type of message.
+   * @param type message type
+   * @param handler function called with the message
+   * @return this client, so registrations can be chained
+   */
+  on(type, handler) {
+    this.handlers[type] = [...(this.handlers[type] || []), handler];
+    return this;
+  }
+
+  /**
+   * This method calls the handlers registered for a message's type.
+   * @param type message type
+   * @param message the message
+   */
+  emit(type, message) {
+    (this.handlers[type] || []).forEach(handler => handler(message));
+  }
+
+  /**
+   * This method sends a message to the server if connected.
+   * @param type message type
+   * @param fields rest of the message
+   */
+  send(type, fields = {}) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type, ...fields }));
+    }
+  }
+
+  /**
+   * This method disconnects from the server without emitting 'close'.
+   */
+  disconnect() {
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.close();
+    }
+  }
+
+  /**
+   * This method opens a new room hosted by this client.
+   */
+  host() {
+    this.send('host');
+  }
+
+  /**
+   * This method joins a room as a player, or takes back the seat the token
+   * was issued for.
+   * @param code room code
+   * @param name player's name
+   * @param token token from an earlier 'joined' message, if rejoining
+   */
+  join(code, name, token) {
+    this.send('join', { code, name, ...(token ? { token } : {}) });
+  }
+
+  /**
+   * This method opens a clue for buzzing. The answer isn't sent, so players
+   * can't read it off the network.
+   * @param clue clue to open
+   */
+  openClue(clue) {
+    this.send('open', {
+      clue: {
+        id: clue.id,
+        value: clue.value,
+        question: clue.question,
+        category: (clue.category || {}).title
+      }
+    });
+  }
+
+  /**
+   * This method closes the open clue.
+   */
+  closeClue() {
+    this.send('close');
+  }
+
+  /**
+   * This method sends the host's ruling on the buzzed player's response.
+   * @param correct whether the response was right
+   * @param answer the response
+   */
+  judge(correct, answer) {
+    this.send('judge', { correct, answer });
+  }
+
+  /**
+   * This method buzzes in.
+   */
+  buzz() {
+    this.send('buzz');
+  }
+
+  /**
+   * This method sends the buzzed player's response to the host.
+   * @param text the response
+   */
+  answer(text) {
+    this.send('answer', { text });
+  }
+}
+
+export default GameClient;
@@ -0,0 +1,98 @@
+import { judgeEntry } from '../judging/judge';
+
+/**
+ * Configures the review schedule, after SM-2: a card's first two right
+ * answers push it out 1 and then 6 days, after which each interval is the
+ * last one times the card's ease. A wrong answer starts the card over and
+ * brings it back later in the same session.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY = 10 * 60 * 1000;
+export const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * Configures how well an answer is taken to have gone, on SM-2's 0 to 5
+ * scale, since the judge only says right or wrong.
+ */
+const RIGHT_QUALITY = 4;
+const WRONG_QUALITY = 1;
+
+/**
+ * This function makes a new review card for a clue, due right away.
+ *
+ * @param clue clue to review
+ * @param now time in milliseconds
+ * @return the card
+ */
+export function newCard(clue, now = Date.now()) {
+  return {
+    clue: clue,
+    repetitions: 0,
+    interval: 0,
+    ease: INITIAL_EASE,
+    due: now
+  };
+}
+
+/**
+ * This function builds the deck from the clues the user missed or
+ * favorited. Missed clues are ones answered wrong or passed. Cards already
+ * in the deck keep their schedule, and cards for clues that are no longer
+ * missed or favorited, e.g. after unfavoriting, are dropped.
+ *
+ * @param answered answered entries
+ * @param favorites favorited clues
+ * @param deck cards by clue id
+ * @param now time in milliseconds
+ * @return the deck with a card for every missed or favorited clue
+ */
+export function buildDeck(answered, favorites, deck = {}, now = Date.now()) {
+  const updated = {};
+  const missed = answered.filter(entry => !judgeEntry(entry).correct).map(entry => entry.clue);
+  [...missed, ...(favorites || [])].forEach(clue => {
+    if (clue && clue.question && clue.answer && !updated[clue.id]) {
+      updated[clue.id] = deck[clue.id] || newCard(clue, now);
+    }
+  });
+  return updated;
+}
+
+/**
+ * This function returns the cards due for review, the most overdue first.
+ *
+ * @param deck cards by clue id
+ * @param now time in milliseconds
+ * @return the due cards
+ */
+export function dueCards(deck, now = Date.now()) {
+  return Object.values(deck || {})
+    .filter(card => card.due <= now)
+    .sort((a, b) => a.due - b.due);
+}
+
+/**
+ * This function reschedules a card after it was reviewed.
+ *
+ * @param card the card reviewed
+ * @param correct whether the judge accepted the answer
+ * @param now time in milliseconds
+ * @return the rescheduled card
+ */
+export function reviewCard(card, correct, now = Date.now()) {
+  const quality = correct ? RIGHT_QUALITY : WRONG_QUALITY;
+  const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+  if (!correct) {
+    return { ...card, repetitions: 0, interval: 0, ease: ease, due: now + RELEARN_DELAY };
+  }
+
+  const repetitions = card.repetitions + 1;
+  let interval = Math.round(card.interval * ease);
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  }
+  return { ...card, repetitions: repetitions, interval: interval, ease: ease, due: now + interval * DAY };
+}
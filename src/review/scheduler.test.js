@@ -0,0 +1,61 @@
+import { buildDeck, dueCards, reviewCard, newCard, INITIAL_EASE } from './scheduler';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2020, 0, 1);
+const nile = { id: 1, value: 200, question: 'Flows through Cairo', answer: 'the Nile' };
+const paris = { id: 2, value: 400, question: 'Capital of France', answer: 'Paris' };
+const rome = { id: 3, value: 600, question: 'Capital of Italy', answer: 'Rome' };
+
+it('builds a deck from missed and favorited clues', () => {
+  const answered = [
+    { clue: nile, answer: 'Amazon' },
+    { clue: paris, answer: 'Paris' },
+    { clue: rome, answer: '' }
+  ];
+  const deck = buildDeck(answered, [paris], {}, now);
+  expect(Object.keys(deck).sort()).toEqual(['1', '2', '3']);
+  expect(deck[1]).toEqual({ clue: nile, repetitions: 0, interval: 0, ease: INITIAL_EASE, due: now });
+});
+
+it('keeps the schedule of cards already in the deck', () => {
+  const scheduled = { ...newCard(nile, now), due: now + DAY };
+  const deck = buildDeck([{ clue: nile, answer: 'Amazon' }], [], { 1: scheduled }, now);
+  expect(deck[1]).toBe(scheduled);
+});
+
+it('drops cards for clues no longer missed or favorited', () => {
+  const scheduled = { ...newCard(paris, now), due: now + DAY };
+  const deck = buildDeck([{ clue: nile, answer: 'Amazon' }], [], { 1: newCard(nile, now), 2: scheduled }, now);
+  expect(Object.keys(deck)).toEqual(['1']);
+  expect(buildDeck([], [paris], { 2: scheduled }, now)[2]).toBe(scheduled);
+});
+
+it('lists due cards, most overdue first', () => {
+  const deck = {
+    1: { ...newCard(nile), due: now - DAY },
+    2: { ...newCard(paris), due: now + DAY },
+    3: { ...newCard(rome), due: now - 2 * DAY }
+  };
+  expect(dueCards(deck, now).map(card => card.clue.id)).toEqual([3, 1]);
+});
+
+it('spaces out cards answered right', () => {
+  let card = reviewCard(newCard(nile, now), true, now);
+  expect(card.interval).toBe(1);
+  expect(card.due).toBe(now + DAY);
+  card = reviewCard(card, true, now);
+  expect(card.interval).toBe(6);
+  card = reviewCard(card, true, now);
+  expect(card.interval).toBe(15);
+  expect(card.repetitions).toBe(3);
+});
+
+it('starts over cards answered wrong and brings them back soon', () => {
+  const learned = { ...newCard(nile, now), repetitions: 3, interval: 15 };
+  const card = reviewCard(learned, false, now);
+  expect(card.repetitions).toBe(0);
+  expect(card.interval).toBe(0);
+  expect(card.ease).toBeCloseTo(1.96);
+  expect(card.due).toBeGreaterThan(now);
+  expect(card.due).toBeLessThan(now + DAY);
+});
@@ -0,0 +1,185 @@
+/**
+ * Configures words that are too common to tell category titles apart. They
+ * are ignored unless the search text has nothing else in it.
+ */
+const STOPWORDS = new Set(['a', 'an', 'and', 'at', 'in', 'of', 'on', 'or', 'the', 'to']);
+
+/**
+ * Configures how much each kind of word match counts toward relevance.
+ */
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.5
+};
+
+/**
+ * This function splits text into lowercase words, dropping accents and
+ * punctuation and treating "&" as "and", so "Rock & Roll" and "ROCK 'N' ROLL"
+ * tokenize alike.
+ *
+ * @param text text to split
+ * @return list of words
+ */
+export function tokenize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’.]/g, '')
+    .match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * This function counts the single-character insertions, deletions and
+ * substitutions needed to turn one word into another.
+ *
+ * @param a first word
+ * @param b second word
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * This function returns how many typos a search word of this length may
+ * contain and still match, so short words must be spelled exactly.
+ *
+ * @param word search word
+ */
+function allowedTypos(word) {
+  if (word.length < 4) {
+    return 0;
+  }
+  return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * This function scores how well a search word matches a title word: exactly,
+ * as the start of the title word, or within a few typos.
+ *
+ * @param queryWord word of the search text
+ * @param titleWord word of the category title
+ * @return match score, 0 when the words do not match
+ */
+function scoreWord(queryWord, titleWord) {
+  if (queryWord === titleWord) {
+    return MATCH_SCORES.exact;
+  }
+  if (titleWord.startsWith(queryWord)) {
+    return MATCH_SCORES.prefix;
+  }
+  const typos = allowedTypos(queryWord);
+  if (typos > 0 && Math.abs(queryWord.length - titleWord.length) <= typos) {
+    const distance = editDistance(queryWord, titleWord);
+    if (distance <= typos) {
+      return MATCH_SCORES.fuzzy / distance;
+    }
+  }
+  return 0;
+}
+
+/**
+ * The category search ranks category titles against search text. Every
+ * search word has to match some word of the title exactly, as a prefix or
+ * with a typo or two; titles are then ranked by how well and how completely
+ * they match, and ties go to the category with more clues.
+ *
+ * @version 1.0
+ */
+class CategorySearch {
+  /**
+   * This constructor method tokenizes every category title once so repeated
+   * searches stay fast.
+   *
+   * @param categories list of categories with id, title and clues_count
+   */
+  constructor(categories) {
+    this.entries = categories.map(category => ({
+      category: category,
+      words: tokenize(category.title)
+    }));
+  }
+
+  /**
+   * This method scores a category title against the search words, or returns
+   * 0 if some search word matches nothing in the title.
+   *
+   * @param queryWords words of the search text
+   * @param titleWords words of the category title
+   */
+  static relevance(queryWords, titleWords) {
+    let total = 0;
+    const matchedTitleWords = new Set();
+    for (let queryWord of queryWords) {
+      let best = 0;
+      let bestIndex = -1;
+      titleWords.forEach((titleWord, i) => {
+        const score = scoreWord(queryWord, titleWord);
+        if (score > best) {
+          best = score;
+          bestIndex = i;
+        }
+      });
+      if (best === 0) {
+        return 0;
+      }
+      total += best;
+      matchedTitleWords.add(bestIndex);
+    }
+
+    // prefer titles that the search covers completely, e.g. "SCIENCE" over
+    // "SCIENCE FICTION" for the search "science"
+    const coverage = matchedTitleWords.size / Math.max(titleWords.length, 1);
+    return total / queryWords.length + 0.25 * coverage;
+  }
+
+  /**
+   * This method finds the categories matching the search text, best first.
+   * An empty search matches every category, largest first.
+   *
+   * @param query search text entered by the user
+   * @param getCount returns the number of usable clues in a category; those
+   * with none are left out. Defaults to the category's clues_count.
+   * @return list of matched categories, each with a relevance score
+   */
+  search(query, getCount = category => category.clues_count) {
+    const allWords = tokenize(query);
+    const keyWords = allWords.filter(word => !STOPWORDS.has(word));
+    const queryWords = keyWords.length > 0 ? keyWords : allWords;
+
+    const results = [];
+    this.entries.forEach(entry => {
+      const relevance = queryWords.length > 0 ? CategorySearch.relevance(queryWords, entry.words) : 1;
+      if (relevance === 0) {
+        return;
+      }
+      const count = getCount(entry.category);
+      if (count === 0) {
+        return;
+      }
+      results.push({ ...entry.category, clues_count: count, relevance: relevance });
+    });
+
+    return results.sort((a, b) =>
+      b.relevance - a.relevance ||
+      (b.clues_count || 0) - (a.clues_count || 0) ||
+      a.title.localeCompare(b.title)
+    );
+  }
+}
+
+export default CategorySearch;
@@ -0,0 +1,65 @@
+import CategorySearch, { tokenize, editDistance } from './categorySearch';
+import categories from './categories.fixture.json';
+
+const search = new CategorySearch(categories);
+const titles = query => search.search(query).map(category => category.title);
+
+it('tokenizes titles into plain lowercase words', () => {
+  expect(tokenize("ROCK 'N' ROLL")).toEqual(['rock', 'n', 'roll']);
+  expect(tokenize('Rock & Roll')).toEqual(['rock', 'and', 'roll']);
+  expect(tokenize('U.S. History')).toEqual(['us', 'history']);
+  expect(tokenize('The Café')).toEqual(['the', 'cafe']);
+  expect(tokenize('')).toEqual([]);
+});
+
+it('counts edits between words', () => {
+  expect(editDistance('science', 'science')).toBe(0);
+  expect(editDistance('sciense', 'science')).toBe(1);
+  expect(editDistance('potables', 'potabels')).toBe(2);
+  expect(editDistance('', 'abc')).toBe(3);
+});
+
+it('ranks exact title matches above longer titles', () => {
+  expect(titles('science')).toEqual(['science', 'science fiction']);
+  expect(titles('capitals')).toEqual(['capitals', 'world capitals']);
+});
+
+it('matches words by prefix', () => {
+  expect(titles('shakes')).toEqual(['shakespeare', "shakespeare's plays"]);
+  expect(titles('pot pot')).toEqual(['potent potables']);
+});
+
+it('tolerates typos in longer words only', () => {
+  expect(titles('sciense')).toEqual(['science', 'science fiction']);
+  expect(titles('shakespear')).toEqual(['shakespeare', "shakespeare's plays"]);
+  expect(titles('pup')).toEqual([]);
+});
+
+it('requires every search word to match', () => {
+  expect(titles('world capitals')).toEqual(['world capitals']);
+  expect(titles('american science')).toEqual([]);
+});
+
+it('ignores stopwords unless nothing else was searched', () => {
+  expect(titles('the history of the us')).toEqual(['u.s. history']);
+  expect(titles('the')).toEqual(['the bible', 'the café']);
+});
+
+it('breaks ties by clue count', () => {
+  expect(titles('rock roll')).toEqual(['rock & roll', "rock 'n' roll"]);
+  expect(titles('history')).toEqual(['american history', 'u.s. history']);
+});
+
+it('leaves out categories without clues', () => {
+  expect(titles('sports')).toEqual([]);
+  expect(search.search('science', category => category.id === 103 ? 3 : 0))
+    .toEqual([{ id: 103, title: 'science fiction', clues_count: 3, relevance: expect.any(Number) }]);
+});
+
+it('returns every category by clue count for an empty search', () => {
+  expect(titles('').slice(0, 3)).toEqual(['animals', 'american history', 'science']);
+});
+
+it('prefers an exact word over a longer one it starts', () => {
+  expect(titles('animal')).toEqual(['animal crackers', 'animals']);
+});
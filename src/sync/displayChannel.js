@@ -0,0 +1,124 @@
+/**
+ * Configures the BroadcastChannel the host console and the audience display
+ * talk over. Windows of the app in the same browser share it.
+ */
+export const CHANNEL_NAME = 'capital-jeopardy-display';
+
+/**
+ * This function strips a clue down to what the audience may see: no answer
+ * and nothing a hint could be made from. A Daily Double's question stays
+ * hidden until its wager is placed.
+ *
+ * @param clue clue open on the board
+ * @param gameMode whether a game is being played, so Daily Doubles show
+ * @param wagered whether the wager on a Daily Double has been placed
+ * @return the clue as shown on the audience display, or null
+ */
+export function toDisplayClue(clue, gameMode = false, wagered = false) {
+  if (!clue) {
+    return null;
+  }
+  const dailyDouble = !!gameMode && !!clue.dailyDouble;
+  return {
+    id: clue.id,
+    value: clue.value,
+    question: dailyDouble && !wagered ? null : clue.question,
+    category: (clue.category || {}).title || '',
+    dailyDouble: dailyDouble
+  };
+}
+
+/**
+ * This function lays out the board for the audience display: each
+ * category's title and clue values, with played clues marked so they can be
+ * left empty.
+ *
+ * @param categories categories on the board
+ * @param answered answers given on the board
+ * @param playedIds ids of other played clues, e.g. ones played in a room
+ * @return the categories as shown on the audience display
+ */
+export function toDisplayBoard(categories, answered, playedIds = []) {
+  const played = new Set([...answered.map(answer => answer.clue.id), ...playedIds]);
+  return categories.map(category => ({
+    id: category.id,
+    title: category.title,
+    clues: category.clues.slice(0, 5).map(clue => ({
+      id: clue.id,
+      value: clue.value,
+      played: played.has(clue.id)
+    }))
+  }));
+}
+
+/**
+ * A DisplayChannel keeps the audience display in step with the host console.
+ * The host publishes the display state whenever it changes; a display that
+ * opens late asks for it. Browsers without BroadcastChannel get a channel
+ * that does nothing.
+ *
+ * @version 1.0
+ */
+class DisplayChannel {
+  /**
+   * This constructor method opens the channel.
+   *
+   * @param name name of the BroadcastChannel
+   */
+  constructor(name = CHANNEL_NAME) {
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(name) : null;
+    this.handlers = { state: [], request: [] };
+    if (this.channel) {
+      this.channel.onmessage = event => {
+        const message = event.data || {};
+        (this.handlers[message.type] || []).forEach(handler => handler(message.state));
+      };
+    }
+  }
+
+  /**
+   * This method sends the display state to every display.
+   * @param state display state
+   */
+  publish(state) {
+    if (this.channel) {
+      this.channel.postMessage({ type: 'state', state });
+    }
+  }
+
+  /**
+   * This method asks the host to publish its display state.
+   */
+  requestState() {
+    if (this.channel) {
+      this.channel.postMessage({ type: 'request' });
+    }
+  }
+
+  /**
+   * This method registers a handler for display states.
+   * @param handler function called with each state
+   */
+  onState(handler) {
+    this.handlers.state.push(handler);
+  }
+
+  /**
+   * This method registers a handler for displays asking for the state.
+   * @param handler function called with no arguments
+   */
+  onRequest(handler) {
+    this.handlers.request.push(handler);
+  }
+
+  /**
+   * This method closes the channel.
+   */
+  close() {
+    if (this.channel) {
+      this.channel.close();
+    }
+  }
+}
+
+export default DisplayChannel;
@@ -0,0 +1,37 @@
+import { toDisplayClue, toDisplayBoard } from './displayChannel';
+
+const clue = {
+  id: 7,
+  value: 400,
+  question: 'This river flows through Cairo',
+  answer: 'the Nile',
+  category: { id: 2, title: 'RIVERS' },
+  dailyDouble: true
+};
+
+it('never sends answers to the audience display', () => {
+  const shown = toDisplayClue(clue, true, true);
+  expect(shown).toEqual({ id: 7, value: 400, question: clue.question, category: 'RIVERS', dailyDouble: true });
+  expect(JSON.stringify(shown)).not.toContain('Nile');
+  expect(toDisplayClue(clue).dailyDouble).toBe(false);
+  expect(toDisplayClue(clue).question).toBe(clue.question);
+  expect(toDisplayClue(null)).toBe(null);
+});
+
+it('keeps a Daily Double question hidden until the wager is placed', () => {
+  const shown = toDisplayClue(clue, true);
+  expect(shown.dailyDouble).toBe(true);
+  expect(shown.question).toBe(null);
+  expect(JSON.stringify(shown)).not.toContain('Cairo');
+});
+
+it('lays out the board with played clues marked', () => {
+  const categories = [{ id: 2, title: 'RIVERS', clues: [clue, { ...clue, id: 8, value: 800 }] }];
+  const board = toDisplayBoard(categories, [{ clue, answer: 'Nile' }]);
+  expect(board).toEqual([{
+    id: 2,
+    title: 'RIVERS',
+    clues: [{ id: 7, value: 400, played: true }, { id: 8, value: 800, played: false }]
+  }]);
+  expect(JSON.stringify(board)).not.toContain('Nile');
+});
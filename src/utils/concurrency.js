@@ -0,0 +1,43 @@
+/**
+ * Configures how many requests to the data source are in flight at once,
+ * wherever categories are fetched in bulk.
+ */
+export const MAX_CONCURRENT_REQUESTS = 4;
+
+/**
+ * This function runs an async task for every item with at most `limit` tasks
+ * in flight at once, starting items in order. It stops starting new items once
+ * `shouldStop` returns true or the signal is aborted; tasks already running
+ * are left to finish or to abort themselves through the same signal.
+ *
+ * @param items list of items to process
+ * @param limit most tasks allowed to run at the same time
+ * @param task async function called with each item and its index
+ * @param options optional AbortSignal `signal` and `shouldStop` callback
+ * @return number of items started, once every started task has settled
+ */
+export async function forEachConcurrent(items, limit, task, { signal, shouldStop = () => false } = {}) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !(signal && signal.aborted) && !shouldStop()) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return next;
+}
+
+/**
+ * This function returns whether an error came from aborting a request.
+ *
+ * @param err the caught error
+ */
+export function isAbortError(err) {
+  return !!err && err.name === 'AbortError';
+}
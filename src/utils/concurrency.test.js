@@ -0,0 +1,80 @@
+import { forEachConcurrent, isAbortError } from './concurrency';
+
+/**
+ * Returns a task whose calls stay pending until released, recording how many
+ * run at once.
+ */
+function pendingTask() {
+  const calls = { started: [], releases: [], running: 0, mostRunning: 0 };
+  calls.task = (item) => new Promise(resolve => {
+    calls.started.push(item);
+    calls.running++;
+    calls.mostRunning = Math.max(calls.mostRunning, calls.running);
+    calls.releases.push(() => {
+      calls.running--;
+      resolve();
+    });
+  });
+  return calls;
+}
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+it('runs at most limit tasks at once, starting items in order', async () => {
+  const calls = pendingTask();
+  const done = forEachConcurrent([1, 2, 3, 4, 5], 2, calls.task);
+  await flush();
+  expect(calls.started).toEqual([1, 2]);
+
+  calls.releases[1]();
+  await flush();
+  expect(calls.started).toEqual([1, 2, 3]);
+
+  // releases the rest one at a time, each letting the next item start
+  for (const index of [0, 2, 3, 4]) {
+    calls.releases[index]();
+    await flush();
+  }
+  expect(await done).toBe(5);
+  expect(calls.started).toEqual([1, 2, 3, 4, 5]);
+  expect(calls.mostRunning).toBe(2);
+});
+
+it('stops starting items once shouldStop is true', async () => {
+  const seen = [];
+  const started = await forEachConcurrent([1, 2, 3, 4, 5], 2, async (item) => {
+    seen.push(item);
+  }, { shouldStop: () => seen.length >= 3 });
+  expect(started).toBe(3);
+  expect(seen).toEqual([1, 2, 3]);
+});
+
+it('stops starting items once the signal is aborted', async () => {
+  const controller = new AbortController();
+  const calls = pendingTask();
+  const done = forEachConcurrent([1, 2, 3, 4], 2, calls.task, { signal: controller.signal });
+  await flush();
+  controller.abort();
+  calls.releases.forEach(release => release());
+  expect(await done).toBe(2);
+  expect(calls.started).toEqual([1, 2]);
+});
+
+it('starts nothing for no items or an aborted signal', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const task = jest.fn();
+  expect(await forEachConcurrent([], 4, task)).toBe(0);
+  expect(await forEachConcurrent([1, 2], 4, task, { signal: controller.signal })).toBe(0);
+  expect(task).not.toHaveBeenCalled();
+});
+
+it('recognizes abort errors', () => {
+  expect(isAbortError(new DOMException('Aborted', 'AbortError'))).toBe(true);
+  expect(isAbortError(new Error('Network down'))).toBe(false);
+  expect(isAbortError(null)).toBe(false);
+});
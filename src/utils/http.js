@@ -0,0 +1,116 @@
+import { isAbortError } from './concurrency';
+
+/**
+ * Configures how often and how patiently failed requests are retried. The
+ * delay doubles after every attempt, with some jitter so retries from
+ * concurrent requests spread out.
+ */
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY = 500;
+
+/**
+ * Configures which HTTP statuses are worth retrying: timeouts, rate limits
+ * and server errors.
+ */
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * The fetch error describes a request that failed or returned something
+ * other than the expected JSON.
+ *
+ * @version 1.0
+ */
+export class FetchError extends Error {
+  /**
+   * This constructor method records why a request failed.
+   *
+   * @param message description of the failure
+   * @param url URL that was requested
+   * @param status HTTP status of the response, if there was one
+   * @param transient whether trying again might succeed
+   */
+  constructor(message, url, status, transient) {
+    super(message);
+    this.name = 'FetchError';
+    this.url = url;
+    this.status = status;
+    this.transient = transient;
+  }
+}
+
+/**
+ * This function waits before the next attempt, giving up early if the
+ * request is aborted in the meantime.
+ *
+ * @param ms how long to wait
+ * @param signal AbortSignal that cancels the wait
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('The request was aborted', 'AbortError'));
+    };
+    // the listener goes as soon as the wait is over, so a signal shared by
+    // many requests doesn't collect one per retry
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * This function fetches a URL once and parses its JSON body.
+ *
+ * @param url URL to fetch
+ * @param signal AbortSignal that cancels the request
+ */
+async function fetchJsonOnce(url, signal) {
+  let res;
+  try {
+    res = await fetch(url, { signal });
+  } catch (err) {
+    if (isAbortError(err)) {
+      throw err;
+    }
+    // the network itself failed, which is usually temporary
+    throw new FetchError(`Could not reach ${url}`, url, undefined, true);
+  }
+
+  if (!res.ok) {
+    throw new FetchError(`${url} responded with ${res.status}`, url, res.status, TRANSIENT_STATUSES.includes(res.status));
+  }
+  try {
+    return await res.json();
+  } catch (err) {
+    throw new FetchError(`${url} did not respond with JSON`, url, res.status, false);
+  }
+}
+
+/**
+ * This function fetches a URL and parses its JSON body, retrying transient
+ * failures with exponential backoff.
+ *
+ * @param url URL to fetch
+ * @param options optional AbortSignal `signal`, number of `retries` and
+ * `baseDelay` in milliseconds
+ * @return parsed JSON response
+ */
+export async function fetchJson(url, { signal, retries = DEFAULT_RETRIES, baseDelay = DEFAULT_BASE_DELAY } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchJsonOnce(url, signal);
+    } catch (err) {
+      if (isAbortError(err) || !err.transient || attempt >= retries) {
+        throw err;
+      }
+      await sleep(baseDelay * 2 ** attempt * (0.5 + Math.random()), signal);
+    }
+  }
+}
@@ -0,0 +1,121 @@
+import { fetchJson, FetchError } from './http';
+
+/**
+ * This function makes a fake fetch response.
+ *
+ * @param status HTTP status
+ * @param body parsed JSON body, or undefined for a body that isn't JSON
+ */
+const response = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status: status,
+  json: async () => {
+    if (body === undefined) {
+      throw new SyntaxError('Unexpected token <');
+    }
+    return body;
+  }
+});
+
+/**
+ * This function lets pending promise callbacks run.
+ */
+const flush = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+/**
+ * This function lets the pending retry waits run out.
+ */
+const runRetries = async () => {
+  for (let i = 0; i < 5; i++) {
+    await flush();
+    jest.runAllTimers();
+  }
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+it('returns the parsed response', async () => {
+  fetch.mockResolvedValue(response(200, [{ id: 1 }]));
+  expect(await fetchJson('/api/clues')).toEqual([{ id: 1 }]);
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+it('retries transient failures until one succeeds', async () => {
+  fetch
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(200, { ok: true }));
+  const result = fetchJson('/api/clues');
+  await runRetries();
+  expect(await result).toEqual({ ok: true });
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+it('waits longer before each retry', async () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  fetch.mockResolvedValue(response(500));
+  const result = fetchJson('/api/clues', { retries: 2, baseDelay: 100 }).catch(err => err);
+
+  await flush();
+  expect(fetch).toHaveBeenCalledTimes(1);
+  jest.advanceTimersByTime(99);
+  await flush();
+  expect(fetch).toHaveBeenCalledTimes(1);
+  await runRetries();
+  expect(fetch).toHaveBeenCalledTimes(3);
+  expect((await result).status).toBe(500);
+  Math.random.mockRestore();
+});
+
+it('gives up after the last retry with a FetchError', async () => {
+  fetch.mockResolvedValue(response(502));
+  const result = fetchJson('/api/clues', { retries: 2 }).catch(err => err);
+  await runRetries();
+  const err = await result;
+  expect(err).toBeInstanceOf(FetchError);
+  expect(err).toMatchObject({ url: '/api/clues', status: 502, transient: true });
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+it('does not retry permanent failures', async () => {
+  fetch.mockResolvedValueOnce(response(404)).mockResolvedValueOnce(response(200));
+  await expect(fetchJson('/api/clues')).rejects.toMatchObject({ status: 404, transient: false });
+
+  fetch.mockReset().mockResolvedValue(response(200));
+  await expect(fetchJson('/api/clues')).rejects.toThrow('did not respond with JSON');
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+it('stops waiting to retry when aborted', async () => {
+  const controller = new AbortController();
+  fetch.mockResolvedValue(response(503));
+  const result = fetchJson('/api/clues', { signal: controller.signal }).catch(err => err);
+  await flush();
+  controller.abort();
+  expect((await result).name).toBe('AbortError');
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+it('removes its abort listener once each wait is over', async () => {
+  const controller = new AbortController();
+  const add = jest.spyOn(controller.signal, 'addEventListener');
+  const remove = jest.spyOn(controller.signal, 'removeEventListener');
+  fetch.mockResolvedValueOnce(response(503)).mockResolvedValueOnce(response(503)).mockResolvedValueOnce(response(200, 1));
+  const result = fetchJson('/api/clues', { signal: controller.signal });
+  await runRetries();
+  expect(await result).toBe(1);
+  expect(add).toHaveBeenCalledTimes(2);
+  expect(remove).toHaveBeenCalledTimes(2);
+});